@@ -4,11 +4,22 @@ pragma solidity ^0.6.0;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "./libraries/UniERC20.sol";
+import "./libraries/Voting.sol";
 import "./Mooniswap.sol";
+import "./MooniRewards.sol";
+import "./MooniswapPool.sol";
+import "./PoolDeployer.sol";
 
 
-contract MooniFactory is Ownable {
+// solhint-disable-next-line max-states-count
+contract MooniFactory is Ownable, IPoolArgs {
     using UniERC20 for IERC20;
+    using Voting for Voting.Data;
+
+    struct FeeOverride {
+        bool enabled;
+        uint256 fee;
+    }
 
     event Deployed(
         address indexed mooniswap,
@@ -16,12 +27,92 @@ contract MooniFactory is Ownable {
         address indexed token2
     );
 
+    event BasketDeployed(
+        address indexed mooniswap,
+        IERC20[] tokens
+    );
+
+    event StableDeployed(
+        address indexed mooniswap,
+        address indexed token1,
+        address indexed token2,
+        uint256 amplification
+    );
+
+    event FeeUpdated(
+        uint256 fee
+    );
+
+    event GuardianUpdated(
+        address guardian
+    );
+
+    // Pool is address(0) for pause of all pools
+    event Paused(
+        address indexed pool,
+        uint256 until
+    );
+
+    event Unpaused(
+        address indexed pool
+    );
+
+    event PayoutEscrowed(
+        address indexed pool,
+        address indexed account,
+        uint256 amount
+    );
+
+    event PayoutClaimed(
+        address indexed account,
+        address indexed receiver,
+        uint256 amount
+    );
+
     uint256 public constant MAX_FEE = 0.003e18; // 0.3%
+    uint256 public constant MAX_PROTOCOL_FEE = 0.5e18; // 50% of LPs revenue
+    uint256 public constant MAX_PAUSE_DURATION = 7 days;
 
+    PoolDeployer public immutable poolDeployer;
+    PoolDeployer public immutable stablePoolDeployer;
+    bytes32 public immutable poolInitCodeHash;
+    bytes32 public immutable stablePoolInitCodeHash;
     uint256 public fee;
+    uint256 public protocolFee;
+    address public feeReceiver;
+    uint256 public decayPeriod = VirtualBalance.DEFAULT_DECAY_PERIOD;
     Mooniswap[] public allPools;
     mapping(Mooniswap => bool) public isPool;
     mapping(IERC20 => mapping(IERC20 => Mooniswap)) public pools;
+    mapping(bytes32 => Mooniswap) public baskets; // keccak256 of sorted token list
+    mapping(IERC20 => mapping(IERC20 => Mooniswap)) public stablePools;
+    mapping(Mooniswap => FeeOverride) public feeOverrides;
+    mapping(Mooniswap => Voting.Data) private _feeVotes;
+    mapping(Mooniswap => Voting.Data) private _decayPeriodVotes;
+    mapping(Mooniswap => MooniRewards) public poolRewards;
+    address public guardian;
+    uint256 public pausedUntil; // Pause of all pools
+    mapping(Mooniswap => uint256) public poolPausedUntil;
+    mapping(address => uint256) public escrowed; // ETH payouts rejected by receivers
+    bytes private _deployArgs;
+
+    modifier onlyGuardian {
+        require(msg.sender == guardian || msg.sender == owner(), "Factory: caller is not guardian");
+        _;
+    }
+
+    // Deployers keep creation code of MooniswapPool and MooniswapStablePool respectively
+    constructor(PoolDeployer mooniswapDeployer, PoolDeployer mooniswapStableDeployer) public {
+        poolDeployer = mooniswapDeployer;
+        stablePoolDeployer = mooniswapStableDeployer;
+        poolInitCodeHash = mooniswapDeployer.initCodeHash();
+        stablePoolInitCodeHash = mooniswapStableDeployer.initCodeHash();
+    }
+
+    // Constructor arguments of the pool being deployed, empty outside of deploy
+    function deployArgs() external view override returns(bytes memory) {
+        return _deployArgs;
+    }
 
     function getAllPools() external view returns(Mooniswap[] memory) {
         return allPools;
@@ -30,6 +121,147 @@ contract MooniFactory is Ownable {
     function setFee(uint256 newFee) external onlyOwner {
         require(newFee <= MAX_FEE, "Factory: fee should be <= 0.3%");
         fee = newFee;
+        emit FeeUpdated(newFee);
+    }
+
+    // Average of LP votes weighted by shares, shares without vote count for owner default
+    function poolFee(Mooniswap pool) external view returns(uint256) {
+        FeeOverride memory feeOverride = feeOverrides[pool];
+        return _feeVotes[pool].result(pool.totalSupply(), feeOverride.enabled ? feeOverride.fee : fee);
+    }
+
+    function setPoolFee(Mooniswap pool, uint256 newFee) external onlyOwner {
+        require(isPool[pool], "Factory: pool does not exist");
+        require(newFee <= MAX_FEE, "Factory: fee should be <= 0.3%");
+        feeOverrides[pool] = FeeOverride({
+            enabled: true,
+            fee: newFee
+        });
+    }
+
+    function resetPoolFee(Mooniswap pool) external onlyOwner {
+        delete feeOverrides[pool];
+    }
+
+    function setProtocolFee(uint256 newProtocolFee) external onlyOwner {
+        require(newProtocolFee <= MAX_PROTOCOL_FEE, "Factory: protocol fee is > 50%");
+        protocolFee = newProtocolFee;
+    }
+
+    function setFeeReceiver(address newFeeReceiver) external onlyOwner {
+        feeReceiver = newFeeReceiver;
+    }
+
+    // Default decay period for shares without vote
+    function setDecayPeriod(uint256 newDecayPeriod) external onlyOwner {
+        _checkDecayPeriod(newDecayPeriod);
+        decayPeriod = newDecayPeriod;
+    }
+
+    // Pool applies new value on its next deposit, withdrawal, swap or flash loan
+    function poolDecayPeriod(Mooniswap pool) external view returns(uint256) {
+        return _decayPeriodVotes[pool].result(pool.totalSupply(), decayPeriod);
+    }
+
+    function voteFee(Mooniswap pool, uint256 value) external {
+        require(value <= MAX_FEE, "Factory: fee should be <= 0.3%");
+        _feeVotes[pool].vote(msg.sender, _stake(pool), value);
+    }
+
+    function discardFeeVote(Mooniswap pool) external {
+        _feeVotes[pool].discard(msg.sender, _stake(pool));
+    }
+
+    function voteDecayPeriod(Mooniswap pool, uint256 value) external {
+        _checkDecayPeriod(value);
+        _decayPeriodVotes[pool].vote(msg.sender, _stake(pool), value);
+    }
+
+    function discardDecayPeriodVote(Mooniswap pool) external {
+        _decayPeriodVotes[pool].discard(msg.sender, _stake(pool));
+    }
+
+    function getFeeVote(Mooniswap pool, address account) external view returns(bool voted, uint256 value) {
+        Voting.Vote memory vote = _feeVotes[pool].votes[account];
+        return (vote.voted, vote.value);
+    }
+
+    function getDecayPeriodVote(Mooniswap pool, address account) external view returns(bool voted, uint256 value) {
+        Voting.Vote memory vote = _decayPeriodVotes[pool].votes[account];
+        return (vote.voted, vote.value);
+    }
+
+    // Called by pools before every share transfer, mint and burn. Data of callers
+    // which are not pools is never used, so the caller is not checked
+    function updateStakes(address from, address to, uint256 amount) external {
+        Mooniswap pool = Mooniswap(msg.sender);
+        _feeVotes[pool].updateStakes(from, to, amount);
+        _decayPeriodVotes[pool].updateStakes(from, to, amount);
+
+        MooniRewards rewards = poolRewards[pool];
+        if (rewards != MooniRewards(0)) {
+            rewards.updateStakes(from, to, amount);
+        }
+    }
+
+    // Rewards contract tracks share balances from now on and can not be replaced
+    function setPoolRewards(Mooniswap pool, MooniRewards rewards) external onlyOwner {
+        require(isPool[pool], "Factory: pool does not exist");
+        require(poolRewards[pool] == MooniRewards(0), "Factory: rewards already set");
+        require(rewards.pool() == pool, "Factory: rewards of other pool");
+        poolRewards[pool] = rewards;
+    }
+
+    // Guardian can only pause and unpause pools, owner can do it too
+    function setGuardian(address newGuardian) external onlyOwner {
+        guardian = newGuardian;
+        emit GuardianUpdated(newGuardian);
+    }
+
+    // Paused pool denies swaps and deposits, withdrawals are always allowed.
+    // Pause expires after duration unless renewed by the next call
+    function pause(Mooniswap pool, uint256 duration) external onlyGuardian {
+        require(isPool[pool], "Factory: pool does not exist");
+        uint256 until = _pauseEnd(duration);
+        poolPausedUntil[pool] = until;
+        emit Paused(address(pool), until);
+    }
+
+    function unpause(Mooniswap pool) external onlyGuardian {
+        delete poolPausedUntil[pool];
+        emit Unpaused(address(pool));
+    }
+
+    function pauseAll(uint256 duration) external onlyGuardian {
+        uint256 until = _pauseEnd(duration);
+        pausedUntil = until;
+        emit Paused(address(0), until);
+    }
+
+    // Pools paused one by one stay paused
+    function unpauseAll() external onlyGuardian {
+        delete pausedUntil;
+        emit Unpaused(address(0));
+    }
+
+    function isPaused(Mooniswap pool) external view returns(bool) {
+        return block.timestamp < Math.max(pausedUntil, poolPausedUntil[pool]);
+    }
+
+    // Pools escrow ETH payouts which receivers reject, e.g. contract wallets reverting or running out of gas
+    function escrow(address account) external payable {
+        require(isPool[Mooniswap(msg.sender)], "Factory: caller is not pool");
+        escrowed[account] += msg.value;
+        emit PayoutEscrowed(msg.sender, account, msg.value);
+    }
+
+    // Receiver may differ from the account, e.g. when the account can not accept ETH at all
+    function claim(address payable receiver) external {
+        uint256 amount = escrowed[msg.sender];
+        require(amount > 0, "Factory: nothing to claim");
+        delete escrowed[msg.sender];
+        IERC20(0).uniTransfer(receiver, amount);
+        emit PayoutClaimed(msg.sender, receiver, amount);
     }
 
     function deploy(IERC20 tokenA, IERC20 tokenB) public returns(Mooniswap pool) {
@@ -41,20 +273,9 @@ contract MooniFactory is Ownable {
         tokens[0] = token1;
         tokens[1] = token2;
 
-        string memory symbol1 = token1.uniSymbol();
-        string memory symbol2 = token2.uniSymbol();
-
-        pool = new Mooniswap(
-            tokens,
-            string(abi.encodePacked("Mooniswap V1 (", symbol1, "-", symbol2, ")")),
-            string(abi.encodePacked("MOON-V1-", symbol1, "-", symbol2))
-        );
-
-        pool.transferOwnership(owner());
+        pool = _deploy(tokens, keccak256(abi.encodePacked(token1, token2)));
         pools[token1][token2] = pool;
         pools[token2][token1] = pool;
-        allPools.push(pool);
-        isPool[pool] = true;
 
         emit Deployed(
             address(pool),
@@ -63,10 +284,149 @@ contract MooniFactory is Ownable {
         );
     }
 
+    function deployBasket(IERC20[] memory tokens) public returns(Mooniswap pool) {
+        require(tokens.length > 2, "Factory: use deploy for 2 tokens");
+
+        tokens = sortTokenList(tokens);
+        for (uint i = 1; i < tokens.length; i++) {
+            require(tokens[i - 1] != tokens[i], "Factory: not support same tokens");
+        }
+
+        bytes32 key = keccak256(abi.encodePacked(tokens));
+        require(baskets[key] == Mooniswap(0), "Factory: pool already exists");
+
+        pool = _deploy(tokens, key);
+        baskets[key] = pool;
+
+        emit BasketDeployed(address(pool), tokens);
+    }
+
+    // Deploys pool for pegged tokens which swaps along StableSwap curve, amplification is owner-rampable later
+    function deployStable(IERC20 tokenA, IERC20 tokenB, uint256 amplification) public returns(Mooniswap pool) {
+        require(tokenA != tokenB, "Factory: not support same tokens");
+        require(stablePools[tokenA][tokenB] == Mooniswap(0), "Factory: pool already exists");
+
+        (IERC20 token1, IERC20 token2) = sortTokens(tokenA, tokenB);
+        IERC20[] memory tokens = new IERC20[](2);
+        tokens[0] = token1;
+        tokens[1] = token2;
+
+        string memory symbols = _symbols(tokens);
+        pool = _create(stablePoolDeployer, keccak256(abi.encodePacked(token1, token2)), abi.encode(
+            tokens,
+            string(abi.encodePacked("Mooniswap V1 Stable (", symbols, ")")),
+            string(abi.encodePacked("MOON-V1-S-", symbols)),
+            amplification
+        ));
+        _register(pool);
+        stablePools[token1][token2] = pool;
+        stablePools[token2][token1] = pool;
+
+        emit StableDeployed(
+            address(pool),
+            address(token1),
+            address(token2),
+            amplification
+        );
+    }
+
+    function getBasket(IERC20[] memory tokens) external view returns(Mooniswap) {
+        return baskets[keccak256(abi.encodePacked(sortTokenList(tokens)))];
+    }
+
+    // Pools are deployed with CREATE2, so their addresses are known before deploy
+    function getPoolAddress(IERC20 tokenA, IERC20 tokenB) external view returns(address) {
+        (IERC20 token1, IERC20 token2) = sortTokens(tokenA, tokenB);
+        return _create2Address(poolInitCodeHash, keccak256(abi.encodePacked(token1, token2)));
+    }
+
+    function getBasketAddress(IERC20[] memory tokens) external view returns(address) {
+        return _create2Address(poolInitCodeHash, keccak256(abi.encodePacked(sortTokenList(tokens))));
+    }
+
+    function getStablePoolAddress(IERC20 tokenA, IERC20 tokenB) external view returns(address) {
+        (IERC20 token1, IERC20 token2) = sortTokens(tokenA, tokenB);
+        return _create2Address(stablePoolInitCodeHash, keccak256(abi.encodePacked(token1, token2)));
+    }
+
     function sortTokens(IERC20 tokenA, IERC20 tokenB) public pure returns(IERC20, IERC20) {
         if (tokenA < tokenB) {
             return (tokenA, tokenB);
         }
         return (tokenB, tokenA);
     }
+
+    // Sorts tokens in place, list is short so insertion sort is fine
+    function sortTokenList(IERC20[] memory tokens) public pure returns(IERC20[] memory) {
+        for (uint i = 1; i < tokens.length; i++) {
+            IERC20 token = tokens[i];
+            uint j = i;
+            for (; j > 0 && tokens[j - 1] > token; j--) {
+                tokens[j] = tokens[j - 1];
+            }
+            tokens[j] = token;
+        }
+        return tokens;
+    }
+
+    function _deploy(IERC20[] memory tokens, bytes32 salt) private returns(Mooniswap pool) {
+        string memory symbols = _symbols(tokens);
+        pool = _create(poolDeployer, salt, abi.encode(
+            tokens,
+            string(abi.encodePacked("Mooniswap V1 (", symbols, ")")),
+            string(abi.encodePacked("MOON-V1-", symbols))
+        ));
+        _register(pool);
+    }
+
+    // Pool constructor reads args back through deployArgs
+    function _create(PoolDeployer deployer, bytes32 salt, bytes memory args) private returns(Mooniswap) {
+        _deployArgs = args;
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, bytes memory result) = address(deployer).delegatecall(
+            abi.encodeWithSelector(deployer.deploy.selector, salt)
+        );
+        delete _deployArgs;
+        if (!success) {
+            // solhint-disable-next-line no-inline-assembly
+            assembly {
+                revert(add(result, 0x20), mload(result))
+            }
+        }
+        return abi.decode(result, (Mooniswap));
+    }
+
+    function _create2Address(bytes32 initCodeHash, bytes32 salt) private view returns(address) {
+        return address(uint256(keccak256(abi.encodePacked(byte(0xff), address(this), salt, initCodeHash))));
+    }
+
+    function _stake(Mooniswap pool) private view returns(uint256) {
+        require(isPool[pool], "Factory: pool does not exist");
+        return pool.balanceOf(msg.sender);
+    }
+
+    function _pauseEnd(uint256 duration) private view returns(uint256) {
+        require(duration > 0 && duration <= MAX_PAUSE_DURATION, "Factory: pause duration invalid");
+        return block.timestamp + duration;
+    }
+
+    function _checkDecayPeriod(uint256 value) private pure {
+        require(
+            value >= VirtualBalance.MIN_DECAY_PERIOD && value <= VirtualBalance.MAX_DECAY_PERIOD,
+            "Factory: decay period invalid"
+        );
+    }
+
+    function _symbols(IERC20[] memory tokens) private view returns(string memory symbols) {
+        symbols = tokens[0].uniSymbol();
+        for (uint i = 1; i < tokens.length; i++) {
+            symbols = string(abi.encodePacked(symbols, "-", tokens[i].uniSymbol()));
+        }
+    }
+
+    function _register(Mooniswap pool) private {
+        pool.transferOwnership(owner());
+        allPools.push(pool);
+        isPool[pool] = true;
+    }
 }
@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./libraries/UniERC20.sol";
+import "./MooniFactory.sol";
+
+
+// Limit orders resting on factory pools. Maker escrows src amount and tip, any keeper fills the order,
+// also partially, once the pool gives at least the order price and earns the tip pro-rata
+contract MooniLimitOrders is ReentrancyGuard {
+    using SafeMath for uint256;
+    using UniERC20 for IERC20;
+
+    struct Order {
+        address payable maker;
+        Mooniswap pool;
+        IERC20 src;
+        IERC20 dst;
+        uint256 amount;    // src amount left to fill
+        uint256 minReturn; // dst amount to receive at least for amount left
+        uint256 tip;       // src amount left for keepers
+    }
+
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed pool,
+        address src,
+        address dst,
+        uint256 amount,
+        uint256 minReturn,
+        uint256 tip
+    );
+
+    event OrderFilled(
+        uint256 indexed orderId,
+        address indexed keeper,
+        uint256 amount,
+        uint256 result,
+        uint256 tip
+    );
+
+    event OrderCancelled(
+        uint256 indexed orderId,
+        uint256 amount,
+        uint256 tip
+    );
+
+    MooniFactory public immutable factory;
+    Order[] public orders;
+
+    constructor(MooniFactory mooniFactory) public {
+        factory = mooniFactory;
+    }
+
+    receive() external payable {
+        // ETH comes only from pools: swap results
+        // solhint-disable-next-line avoid-tx-origin
+        require(msg.sender != tx.origin, "Orders: ETH deposit rejected");
+    }
+
+    function getOrdersCount() external view returns(uint256) {
+        return orders.length;
+    }
+
+    // Returns dst amount to receive at least for the fill, it is rounded up in favor of maker
+    function getFillMinReturn(uint256 orderId, uint256 amount) public view returns(uint256) {
+        Order memory order = orders[orderId];
+        return order.minReturn.mul(amount).add(order.amount - 1).div(order.amount);
+    }
+
+    function canFill(uint256 orderId, uint256 amount) external view returns(bool) {
+        Order memory order = orders[orderId];
+        return amount > 0 && amount <= order.amount &&
+            order.pool.getReturn(order.src, order.dst, amount) >= getFillMinReturn(orderId, amount);
+    }
+
+    function placeOrder(
+        Mooniswap pool,
+        IERC20 src,
+        IERC20 dst,
+        uint256 amount,
+        uint256 minReturn,
+        uint256 tip
+    ) external payable nonReentrant returns(uint256 orderId) {
+        require(factory.isPool(pool), "Orders: pool does not exist");
+        require(pool.isToken(src) && pool.isToken(dst) && src != dst, "Orders: token is not in pool");
+        require(minReturn > 0, "Orders: min return is zero");
+        require(msg.value == (src.isETH() ? amount.add(tip) : 0), "Orders: wrong value usage");
+
+        // Account only actually received amount to support deflationary tokens, tip is kept as is
+        uint256 balance = src.uniBalanceOf(address(this)).sub(msg.value);
+        src.uniTransferFromSenderToThis(amount.add(tip));
+        amount = src.uniBalanceOf(address(this)).sub(balance).sub(tip);
+        require(amount > 0, "Orders: amount is zero");
+
+        orderId = orders.length;
+        orders.push(Order({
+            maker: msg.sender,
+            pool: pool,
+            src: src,
+            dst: dst,
+            amount: amount,
+            minReturn: minReturn,
+            tip: tip
+        }));
+
+        emit OrderPlaced(orderId, msg.sender, address(pool), address(src), address(dst), amount, minReturn, tip);
+    }
+
+    function fillOrder(uint256 orderId, uint256 amount) external nonReentrant returns(uint256 result) {
+        Order storage order = orders[orderId];
+        require(amount > 0 && amount <= order.amount, "Orders: wrong fill amount");
+        uint256 minReturn = getFillMinReturn(orderId, amount);
+        // Swap checks minReturn too, this one gives clear reason to keepers
+        require(order.pool.getReturn(order.src, order.dst, amount) >= minReturn, "Orders: price not reached");
+
+        uint256 tip = order.tip.mul(amount).div(order.amount);
+        order.tip = order.tip.sub(tip);
+        order.minReturn = order.minReturn.sub(minReturn);
+        order.amount = order.amount.sub(amount);
+
+        result = _swap(order.pool, order.src, order.dst, amount, minReturn);
+        require(result >= minReturn, "Orders: return is not enough");
+        order.dst.uniTransfer(order.maker, result);
+        order.src.uniTransfer(msg.sender, tip);
+
+        emit OrderFilled(orderId, msg.sender, amount, result, tip);
+    }
+
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = orders[orderId];
+        require(msg.sender == order.maker, "Orders: access denied");
+
+        uint256 amount = order.amount;
+        uint256 tip = order.tip;
+        order.amount = 0;
+        order.minReturn = 0;
+        order.tip = 0;
+        order.src.uniTransfer(order.maker, amount.add(tip));
+
+        emit OrderCancelled(orderId, amount, tip);
+    }
+
+    function _swap(Mooniswap pool, IERC20 src, IERC20 dst, uint256 amount, uint256 minReturn) private returns(uint256) {
+        if (!src.isETH()) {
+            src.uniApprove(address(pool), amount);
+        }
+
+        uint256 balance = dst.uniBalanceOf(address(this));
+        pool.swap{ value: src.isETH() ? amount : 0 }(src, dst, amount, minReturn, address(0));
+        return dst.uniBalanceOf(address(this)).sub(balance);
+    }
+}
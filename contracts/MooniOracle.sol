@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "./Mooniswap.sol";
+
+
+contract MooniOracle {
+    struct Observation {
+        uint256 timestamp;
+        uint256 priceCumulative;
+    }
+
+    struct Observations {
+        uint256 next;
+        Observation[OBSERVATIONS_LIMIT] items;
+    }
+
+    event Observed(
+        address indexed pool,
+        address indexed src,
+        address indexed dst,
+        uint256 priceCumulative
+    );
+
+    uint256 public constant OBSERVATIONS_LIMIT = 48;
+    uint256 public constant MIN_OBSERVATION_INTERVAL = 5 minutes; // Buffer covers at least 4 hours
+
+    mapping(Mooniswap => mapping(IERC20 => mapping(IERC20 => Observations))) private _observations;
+
+    function update(Mooniswap pool, IERC20 src, IERC20 dst) external returns(bool) {
+        Observations storage observations = _observations[pool][src][dst];
+        Observation storage last = observations.items[(observations.next + OBSERVATIONS_LIMIT - 1) % OBSERVATIONS_LIMIT];
+        if (last.timestamp != 0 && block.timestamp < last.timestamp + MIN_OBSERVATION_INTERVAL) {
+            return false;
+        }
+
+        uint256 priceCumulative = pool.getPriceCumulative(src, dst);
+        observations.items[observations.next] = Observation({
+            timestamp: block.timestamp,
+            priceCumulative: priceCumulative
+        });
+        observations.next = (observations.next + 1) % OBSERVATIONS_LIMIT;
+
+        emit Observed(address(pool), address(src), address(dst), priceCumulative);
+        return true;
+    }
+
+    function getObservation(Mooniswap pool, IERC20 src, IERC20 dst, uint256 index) external view returns(uint256 timestamp, uint256 priceCumulative) {
+        Observation memory observation = _observations[pool][src][dst].items[index];
+        return (observation.timestamp, observation.priceCumulative);
+    }
+
+    // Returns src price in dst multiplied by pool.PRICE_PRECISION averaged over at least window seconds
+    function consult(Mooniswap pool, IERC20 src, IERC20 dst, uint256 window) external view returns(uint256) {
+        require(window > 0, "Oracle: window is zero");
+
+        Observations storage observations = _observations[pool][src][dst];
+        for (uint i = 1; i <= OBSERVATIONS_LIMIT; i++) {
+            Observation memory observation = observations.items[(observations.next + OBSERVATIONS_LIMIT - i) % OBSERVATIONS_LIMIT];
+            if (observation.timestamp == 0) {
+                break;
+            }
+
+            if (observation.timestamp + window <= block.timestamp) {
+                // Overflow is desired, cumulative difference is correct even after accumulator wrap
+                uint256 priceCumulativeDelta = pool.getPriceCumulative(src, dst) - observation.priceCumulative;
+                return priceCumulativeDelta / (block.timestamp - observation.timestamp);
+            }
+        }
+
+        revert("Oracle: window is not covered");
+    }
+}
@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/math/Math.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./libraries/UniERC20.sol";
+import "./Mooniswap.sol";
+
+
+// Distributes reward tokens pro-rata to plain LP share balances of the pool, no staking needed.
+// Factory reports every share transfer, mint and burn to it, see MooniFactory.setPoolRewards
+contract MooniRewards is ReentrancyGuard, Ownable {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+    using UniERC20 for IERC20;
+
+    struct Reward {
+        address distributor;
+        uint256 rate;
+        uint256 periodFinish;
+        uint256 lastUpdateTime;
+        uint256 rewardPerShareStored;
+    }
+
+    event RewardAdded(
+        address indexed token,
+        address indexed distributor
+    );
+
+    event RewardNotified(
+        address indexed token,
+        uint256 amount,
+        uint256 periodFinish
+    );
+
+    event RewardPaid(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    uint256 public constant MAX_REWARD_TOKENS = 8;
+    uint256 public constant REWARD_PRECISION = 1e18;
+
+    Mooniswap public immutable pool;
+    IERC20[] public rewardTokens;
+    mapping(IERC20 => Reward) public rewards;
+    mapping(IERC20 => mapping(address => uint256)) public rewardPerSharePaid;
+    mapping(IERC20 => mapping(address => uint256)) public unclaimed;
+
+    constructor(Mooniswap mooniswap) public {
+        pool = mooniswap;
+    }
+
+    receive() external payable {
+        require(msg.sender == address(pool), "Rewards: ETH deposit rejected");
+    }
+
+    function getRewardTokens() external view returns(IERC20[] memory) {
+        return rewardTokens;
+    }
+
+    function rewardPerShare(IERC20 token) public view returns(uint256) {
+        Reward memory reward = rewards[token];
+        uint256 totalSupply = pool.totalSupply();
+        uint256 lastTime = Math.min(block.timestamp, reward.periodFinish);
+        if (totalSupply == 0 || lastTime <= reward.lastUpdateTime) {
+            return reward.rewardPerShareStored;
+        }
+        return reward.rewardPerShareStored.add(
+            lastTime.sub(reward.lastUpdateTime).mul(reward.rate).mul(REWARD_PRECISION).div(totalSupply)
+        );
+    }
+
+    function earned(IERC20 token, address account) public view returns(uint256) {
+        return pool.balanceOf(account).mul(rewardPerShare(token).sub(rewardPerSharePaid[token][account])).div(REWARD_PRECISION).add(
+            unclaimed[token][account]
+        );
+    }
+
+    function addReward(IERC20 token, address distributor) external onlyOwner {
+        require(!token.isETH(), "Rewards: ETH is not supported");
+        require(rewards[token].distributor == address(0), "Rewards: token already added");
+        require(distributor != address(0), "Rewards: zero distributor");
+        require(rewardTokens.length < MAX_REWARD_TOKENS, "Rewards: too many reward tokens");
+
+        rewardTokens.push(token);
+        rewards[token].distributor = distributor;
+
+        emit RewardAdded(address(token), distributor);
+    }
+
+    // Starts new period of duration seconds, rewards left from the current period are spread over it too
+    function notifyRewardAmount(IERC20 token, uint256 amount, uint256 duration) external nonReentrant {
+        Reward storage reward = rewards[token];
+        require(msg.sender == reward.distributor, "Rewards: access denied");
+        require(duration > 0, "Rewards: duration is zero");
+        _updateRewardPerShare(token);
+
+        uint256 balance = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        amount = token.balanceOf(address(this)).sub(balance);
+
+        if (block.timestamp < reward.periodFinish) {
+            amount = amount.add(reward.periodFinish.sub(block.timestamp).mul(reward.rate));
+        }
+        reward.rate = amount.div(duration);
+        reward.lastUpdateTime = block.timestamp;
+        reward.periodFinish = block.timestamp.add(duration);
+
+        emit RewardNotified(address(token), amount, reward.periodFinish);
+    }
+
+    // Called before every share balance change, so accrued rewards are stored for the old balances
+    function updateStakes(address from, address to, uint256 /* amount */) external {
+        for (uint i = 0; i < rewardTokens.length; i++) {
+            IERC20 token = rewardTokens[i];
+            _updateRewardPerShare(token);
+            _updateUnclaimed(token, from);
+            _updateUnclaimed(token, to);
+        }
+    }
+
+    function claim() external nonReentrant {
+        _claim();
+    }
+
+    // Withdraws all shares of the sender from the pool and claims rewards, shares should be approved
+    function exit(uint256[] calldata minReturns) external nonReentrant {
+        IERC20[] memory tokens = pool.getTokens();
+        uint256[] memory balances = new uint256[](tokens.length);
+        for (uint i = 0; i < tokens.length; i++) {
+            balances[i] = tokens[i].uniBalanceOf(address(this));
+        }
+
+        uint256 amount = pool.balanceOf(msg.sender);
+        pool.transferFrom(msg.sender, address(this), amount);
+        pool.withdraw(amount, minReturns);
+
+        for (uint i = 0; i < tokens.length; i++) {
+            tokens[i].uniTransfer(msg.sender, tokens[i].uniBalanceOf(address(this)).sub(balances[i]));
+        }
+        _claim();
+    }
+
+    function _claim() private {
+        for (uint i = 0; i < rewardTokens.length; i++) {
+            IERC20 token = rewardTokens[i];
+            _updateRewardPerShare(token);
+            _updateUnclaimed(token, msg.sender);
+
+            uint256 amount = unclaimed[token][msg.sender];
+            if (amount > 0) {
+                unclaimed[token][msg.sender] = 0;
+                token.safeTransfer(msg.sender, amount);
+                emit RewardPaid(msg.sender, address(token), amount);
+            }
+        }
+    }
+
+    function _updateRewardPerShare(IERC20 token) private {
+        Reward storage reward = rewards[token];
+        reward.rewardPerShareStored = rewardPerShare(token);
+        reward.lastUpdateTime = Math.min(block.timestamp, reward.periodFinish);
+    }
+
+    function _updateUnclaimed(IERC20 token, address account) private {
+        // Zero address stands for mint and burn
+        if (account != address(0)) {
+            unclaimed[token][account] = earned(token, account);
+            rewardPerSharePaid[token][account] = rewards[token].rewardPerShareStored;
+        }
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/drafts/IERC20Permit.sol";
+import "./libraries/UniERC20.sol";
+import "./MooniFactory.sol";
+
+
+contract MooniRouter is ReentrancyGuard {
+    using SafeMath for uint256;
+    using UniERC20 for IERC20;
+
+    MooniFactory public immutable factory;
+
+    constructor(MooniFactory mooniFactory) public {
+        factory = mooniFactory;
+    }
+
+    receive() external payable {
+        // ETH comes only from pools: swap results and remainders
+        // solhint-disable-next-line avoid-tx-origin
+        require(msg.sender != tx.origin, "Router: ETH deposit rejected");
+    }
+
+    function getReturnForPath(IERC20[] calldata path, uint256 amount) external view returns(uint256 result) {
+        require(path.length >= 2, "Router: path is too short");
+
+        result = amount;
+        for (uint i = 1; i < path.length; i++) {
+            result = _getPool(path[i - 1], path[i]).getReturn(path[i - 1], path[i], result);
+        }
+    }
+
+    function swap(
+        IERC20[] calldata path,
+        uint256 amount,
+        uint256 minReturn,
+        address referral,
+        uint256 deadline
+    ) external payable nonReentrant returns(uint256 result) {
+        return _swapPath(path, amount, minReturn, referral, deadline);
+    }
+
+    // Approves router to spend path[0] of sender with EIP-2612 signature, so no separate approve transaction needed
+    function swapWithPermit(
+        IERC20[] calldata path,
+        uint256 amount,
+        uint256 minReturn,
+        address referral,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns(uint256 result) {
+        IERC20Permit(address(path[0])).permit(msg.sender, address(this), amount, deadline, v, r, s);
+        return _swapPath(path, amount, minReturn, referral, deadline);
+    }
+
+    function _swapPath(
+        IERC20[] calldata path,
+        uint256 amount,
+        uint256 minReturn,
+        address referral,
+        uint256 deadline
+    ) private returns(uint256 result) {
+        require(block.timestamp <= deadline, "Router: deadline expired");
+        require(path.length >= 2, "Router: path is too short");
+        require(msg.value == (path[0].isETH() ? amount : 0), "Router: wrong value usage");
+
+        // Account only actually received amount to support deflationary tokens
+        uint256 balance = path[0].uniBalanceOf(address(this)).sub(msg.value);
+        path[0].uniTransferFromSenderToThis(amount);
+        result = path[0].uniBalanceOf(address(this)).sub(balance);
+
+        for (uint i = 1; i < path.length; i++) {
+            // The last pool sends result to the sender directly
+            address payable receiver = (i == path.length - 1) ? msg.sender : address(this);
+            result = _swap(path[i - 1], path[i], result, referral, receiver);
+        }
+
+        require(result >= minReturn, "Router: return is not enough");
+    }
+
+    function _swap(IERC20 src, IERC20 dst, uint256 amount, address referral, address payable receiver) private returns(uint256) {
+        Mooniswap pool = _getPool(src, dst);
+        if (!src.isETH()) {
+            src.uniApprove(address(pool), amount);
+        }
+
+        uint256 balance = dst.uniBalanceOf(receiver);
+        pool.swapTo{ value: src.isETH() ? amount : 0 }(src, dst, amount, 0, referral, receiver);
+        return dst.uniBalanceOf(receiver).sub(balance);
+    }
+
+    function _getPool(IERC20 src, IERC20 dst) private view returns(Mooniswap pool) {
+        pool = factory.pools(src, dst);
+        require(pool != Mooniswap(0), "Router: pool does not exist");
+    }
+}
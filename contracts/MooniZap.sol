@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./libraries/UniERC20.sol";
+import "./MooniFactory.sol";
+
+
+contract MooniZap is ReentrancyGuard {
+    using SafeMath for uint256;
+    using UniERC20 for IERC20;
+
+    struct PoolState {
+        uint256 srcBalance;
+        uint256 dstBalance;
+        uint256 srcAdditionBalance;
+        uint256 dstRemovalBalance;
+        uint256 fee;
+    }
+
+    MooniFactory public immutable factory;
+
+    constructor(MooniFactory mooniFactory) public {
+        factory = mooniFactory;
+    }
+
+    receive() external payable {
+        // ETH comes only from pools: swap results and withdrawals
+        // solhint-disable-next-line avoid-tx-origin
+        require(msg.sender != tx.origin, "Zap: ETH deposit rejected");
+    }
+
+    // Returns amount of token to swap before deposit and expected swap return
+    function getDepositSplit(Mooniswap pool, IERC20 token, uint256 amount) public view returns(uint256 swapAmount, uint256 swapReturn) {
+        require(pool.totalSupply() > 0, "Zap: pool is empty");
+        IERC20 other = _otherToken(pool, token);
+
+        PoolState memory state = PoolState({
+            srcBalance: pool.reserves(token),
+            dstBalance: pool.reserves(other),
+            srcAdditionBalance: pool.getBalanceForAddition(token, other),
+            dstRemovalBalance: pool.getBalanceForRemoval(token, other),
+            fee: pool.fee()
+        });
+
+        // Find the greatest swap amount which keeps remainder to swap return ratio not below post-swap pool ratio
+        uint256 hi = amount;
+        while (swapAmount < hi) {
+            uint256 mid = swapAmount.add(hi).add(1).div(2);
+            uint256 result = _getReturn(mid, state.srcAdditionBalance, state.dstRemovalBalance, state.fee);
+            if (amount.sub(mid).mul(state.dstBalance.sub(result)) >= result.mul(state.srcBalance.add(mid))) {
+                swapAmount = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+
+        swapReturn = _getReturn(swapAmount, state.srcAdditionBalance, state.dstRemovalBalance, state.fee);
+    }
+
+    function getWithdrawReturn(Mooniswap pool, uint256 amount, IERC20 token) external view returns(uint256 result) {
+        IERC20 other = _otherToken(pool, token);
+
+        uint256 totalSupply = pool.totalSupply();
+        uint256 remainingSupply = totalSupply.sub(amount);
+
+        // Withdrawal scales virtual balances same way as real ones, rounding up
+        uint256 srcBalance = pool.getBalanceForAddition(other, token).mul(remainingSupply).add(totalSupply - 1).div(totalSupply);
+        uint256 dstBalance = pool.getBalanceForRemoval(other, token).mul(remainingSupply).add(totalSupply - 1).div(totalSupply);
+
+        result = _getReturn(pool.reserves(other).mul(amount).div(totalSupply), srcBalance, dstBalance, pool.fee());
+        result = result.add(pool.reserves(token).mul(amount).div(totalSupply));
+    }
+
+    function deposit(
+        Mooniswap pool,
+        IERC20 token,
+        uint256 amount,
+        uint256 minShares,
+        uint256 deadline
+    ) external payable nonReentrant returns(uint256 shares) {
+        require(block.timestamp <= deadline, "Zap: deadline expired");
+        require(factory.isPool(pool), "Zap: pool does not exist");
+        require(msg.value == (token.isETH() ? amount : 0), "Zap: wrong value usage");
+        IERC20 other = _otherToken(pool, token);
+
+        // Account only actually received amount to support deflationary tokens
+        uint256 balance = token.uniBalanceOf(address(this)).sub(msg.value);
+        token.uniTransferFromSenderToThis(amount);
+        amount = token.uniBalanceOf(address(this)).sub(balance);
+
+        uint256 otherBalance = other.uniBalanceOf(address(this));
+        (uint256 swapAmount, uint256 swapReturn) = getDepositSplit(pool, token, amount);
+        swapReturn = _swap(pool, token, other, swapAmount, swapReturn);
+        shares = _deposit(pool, token, amount.sub(swapAmount), other, swapReturn);
+        require(shares >= minShares, "Zap: shares are not enough");
+
+        // Refund dust left after deposit
+        _refund(token, balance);
+        _refund(other, otherBalance);
+    }
+
+    function withdraw(
+        Mooniswap pool,
+        uint256 amount,
+        IERC20 token,
+        uint256 minReturn,
+        uint256 deadline
+    ) external nonReentrant returns(uint256 result) {
+        return _withdraw(pool, amount, token, minReturn, deadline);
+    }
+
+    // Approves zap to spend liquidity token of sender with EIP-2612 signature, so no separate approve transaction needed
+    function withdrawWithPermit(
+        Mooniswap pool,
+        uint256 amount,
+        IERC20 token,
+        uint256 minReturn,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns(uint256 result) {
+        pool.permit(msg.sender, address(this), amount, deadline, v, r, s);
+        return _withdraw(pool, amount, token, minReturn, deadline);
+    }
+
+    function _withdraw(Mooniswap pool, uint256 amount, IERC20 token, uint256 minReturn, uint256 deadline) private returns(uint256 result) {
+        require(block.timestamp <= deadline, "Zap: deadline expired");
+        require(factory.isPool(pool), "Zap: pool does not exist");
+        IERC20 other = _otherToken(pool, token);
+
+        uint256 tokenBalance = token.uniBalanceOf(address(this));
+        uint256 otherBalance = other.uniBalanceOf(address(this));
+        pool.transferFrom(msg.sender, address(this), amount);
+        pool.withdraw(amount, new uint256[](0));
+
+        _swap(pool, other, token, other.uniBalanceOf(address(this)).sub(otherBalance), 0);
+        result = token.uniBalanceOf(address(this)).sub(tokenBalance);
+        require(result >= minReturn, "Zap: return is not enough");
+        token.uniTransfer(msg.sender, result);
+    }
+
+    function _swap(Mooniswap pool, IERC20 src, IERC20 dst, uint256 amount, uint256 minReturn) private returns(uint256) {
+        if (amount == 0) {
+            return 0;
+        }
+
+        if (!src.isETH()) {
+            src.uniApprove(address(pool), amount);
+        }
+
+        uint256 balance = dst.uniBalanceOf(address(this));
+        pool.swap{ value: src.isETH() ? amount : 0 }(src, dst, amount, minReturn, address(0));
+        return dst.uniBalanceOf(address(this)).sub(balance);
+    }
+
+    function _deposit(Mooniswap pool, IERC20 token, uint256 tokenAmount, IERC20 other, uint256 otherAmount) private returns(uint256) {
+        if (!token.isETH()) {
+            token.uniApprove(address(pool), tokenAmount);
+        }
+        if (!other.isETH()) {
+            other.uniApprove(address(pool), otherAmount);
+        }
+
+        uint256[] memory amounts = new uint256[](2);
+        uint256[] memory minAmounts = new uint256[](2);
+        bool tokenFirst = (pool.tokens(0) == token);
+        amounts[0] = tokenFirst ? tokenAmount : otherAmount;
+        amounts[1] = tokenFirst ? otherAmount : tokenAmount;
+
+        uint256 value = token.isETH() ? tokenAmount : (other.isETH() ? otherAmount : 0);
+        return pool.depositFor{ value: value }(amounts, minAmounts, msg.sender);
+    }
+
+    function _refund(IERC20 token, uint256 balance) private {
+        uint256 dust = token.uniBalanceOf(address(this)).sub(balance);
+        if (dust > 0) {
+            token.uniTransfer(msg.sender, dust);
+        }
+    }
+
+    function _otherToken(Mooniswap pool, IERC20 token) private view returns(IERC20) {
+        IERC20[] memory tokens = pool.getTokens();
+        require(tokens.length == 2, "Zap: only 2 token pools");
+        require(tokens[0] == token || tokens[1] == token, "Zap: token is not in pool");
+        return (tokens[0] == token) ? tokens[1] : tokens[0];
+    }
+
+    function _getReturn(uint256 amount, uint256 srcBalance, uint256 dstBalance, uint256 fee) private pure returns(uint256) {
+        // Same as Mooniswap._getReturn
+        uint256 taxedAmount = amount.sub(amount.mul(fee).div(1e18));
+        return taxedAmount.mul(dstBalance).div(srcBalance.add(taxedAmount));
+    }
+}
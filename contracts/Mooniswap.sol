@@ -3,16 +3,28 @@
 pragma solidity ^0.6.0;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/math/Math.sol";
 import "@openzeppelin/contracts/math/SafeMath.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/drafts/ERC20Permit.sol";
 import "./libraries/UniERC20.sol";
 import "./libraries/Sqrt.sol";
 
 
 interface IFactory {
-    function fee() external view returns(uint256);
+    function poolFee(address pool) external view returns(uint256);
+    function protocolFee() external view returns(uint256);
+    function feeReceiver() external view returns(address);
+    function poolDecayPeriod(address pool) external view returns(uint256);
+    function isPaused(address pool) external view returns(bool);
+    function escrow(address account) external payable;
+    function updateStakes(address from, address to, uint256 amount) external;
+}
+
+
+interface IFlashLoanReceiver {
+    // Should return amount + fee of token to the pool, ETH is repaid with plain transfer
+    function onFlashLoan(address initiator, IERC20 token, uint256 amount, uint256 fee, bytes calldata data) external payable;
 }
 
 
@@ -24,32 +36,49 @@ library VirtualBalance {
         uint40 time;
     }
 
-    uint256 public constant DECAY_PERIOD = 5 minutes;
+    uint256 public constant DEFAULT_DECAY_PERIOD = 5 minutes;
+    uint256 public constant MIN_DECAY_PERIOD = 1 minutes;
+    uint256 public constant MAX_DECAY_PERIOD = 1 hours;
 
     function set(VirtualBalance.Data storage self, uint256 balance) internal {
         self.balance = uint216(balance);
         self.time = uint40(block.timestamp);
     }
 
-    function update(VirtualBalance.Data storage self, uint256 realBalance) internal {
-        set(self, current(self, realBalance));
+    function update(VirtualBalance.Data storage self, uint256 decayPeriod, uint256 realBalance) internal {
+        set(self, current(self, decayPeriod, realBalance));
+    }
+
+    function scale(VirtualBalance.Data storage self, uint256 decayPeriod, uint256 realBalance, uint256 num, uint256 denom) internal {
+        if (block.timestamp.sub(self.time) >= decayPeriod) {
+            // Decayed balance is equal to the real one and stays equal after scaling
+            return;
+        }
+        set(self, current(self, decayPeriod, realBalance).mul(num).add(denom.sub(1)).div(denom));
     }
 
-    function scale(VirtualBalance.Data storage self, uint256 realBalance, uint256 num, uint256 denom) internal {
-        set(self, current(self, realBalance).mul(num).add(denom.sub(1)).div(denom));
+    // Prepares balance for decay period change, so its current value does not jump
+    function rebase(VirtualBalance.Data storage self, uint256 decayPeriod, uint256 realBalance) internal {
+        if (block.timestamp.sub(self.time) < decayPeriod) {
+            // Decay of the remaining difference restarts from now
+            update(self, decayPeriod, realBalance);
+        } else if (self.time != 0) {
+            // Zero time keeps balance decayed for any period
+            self.time = 0;
+        }
     }
 
-    function current(VirtualBalance.Data memory self, uint256 realBalance) internal view returns(uint256) {
-        uint256 timePassed = Math.min(DECAY_PERIOD, block.timestamp.sub(self.time));
-        uint256 timeRemain = DECAY_PERIOD.sub(timePassed);
+    function current(VirtualBalance.Data memory self, uint256 decayPeriod, uint256 realBalance) internal view returns(uint256) {
+        uint256 timePassed = Math.min(decayPeriod, block.timestamp.sub(self.time));
+        uint256 timeRemain = decayPeriod.sub(timePassed);
         return uint256(self.balance).mul(timeRemain).add(
             realBalance.mul(timePassed)
-        ).div(DECAY_PERIOD);
+        ).div(decayPeriod);
     }
 }
 
 
-contract Mooniswap is ERC20, ReentrancyGuard, Ownable {
+contract Mooniswap is ERC20Permit, Ownable {
     using Sqrt for uint256;
     using SafeMath for uint256;
     using UniERC20 for IERC20;
@@ -65,14 +94,19 @@ contract Mooniswap is ERC20, ReentrancyGuard, Ownable {
         uint128 result;
     }
 
+    // Token amounts are in order of getTokens
     event Deposited(
         address indexed account,
-        uint256 amount
+        address indexed receiver,
+        uint256 amount,
+        uint256[] amounts
     );
 
     event Withdrawn(
         address indexed account,
-        uint256 amount
+        address indexed receiver,
+        uint256 amount,
+        uint256[] amounts
     );
 
     event Swapped(
@@ -84,24 +118,83 @@ contract Mooniswap is ERC20, ReentrancyGuard, Ownable {
         uint256 srcBalance,
         uint256 dstBalance,
         uint256 totalSupply,
-        address referral
+        address referral,
+        address receiver
+    );
+
+    event DecayPeriodUpdated(
+        uint256 decayPeriod
+    );
+
+    event Synced(
+        address indexed account
+    );
+
+    event Skimmed(
+        address indexed account,
+        address indexed token,
+        address indexed receiver,
+        uint256 amount
+    );
+
+    event FlashLoaned(
+        address indexed account,
+        address indexed receiver,
+        address indexed token,
+        uint256 amount,
+        uint256 fee
     );
 
+    // Balances used for swap from src to dst right after the change of virtual balances
+    event VirtualBalancesUpdated(
+        address indexed src,
+        address indexed dst,
+        uint256 balanceForAddition,
+        uint256 balanceForRemoval
+    );
+
+    event FundsRescued(
+        address indexed token,
+        uint256 amount
+    );
+
+    uint256 public constant MAX_TOKENS = 8;
     uint256 public constant REFERRAL_SHARE = 20; // 1/share = 5% of LPs revenue
     uint256 public constant BASE_SUPPLY = 1000;  // Total supply on first deposit
     uint256 public constant FEE_DENOMINATOR = 1e18;
+    uint256 public constant PRICE_PRECISION = 1e18;
 
     IFactory public factory;
     IERC20[] public tokens;
     mapping(IERC20 => bool) public isToken;
     mapping(IERC20 => SwapVolumes) public volumes;
-    mapping(IERC20 => VirtualBalance.Data) public virtualBalancesForAddition;
-    mapping(IERC20 => VirtualBalance.Data) public virtualBalancesForRemoval;
+    // Balances accounted by the pool, tokens sent to it directly are surplus until skim or sync
+    mapping(IERC20 => uint256) public reserves;
+    // Virtual balances are kept per swap direction: src balance for addition and dst balance for removal
+    mapping(IERC20 => mapping(IERC20 => VirtualBalance.Data)) public virtualBalancesForAddition;
+    mapping(IERC20 => mapping(IERC20 => VirtualBalance.Data)) public virtualBalancesForRemoval;
+    mapping(IERC20 => mapping(IERC20 => uint256)) public priceCumulativeLast;
+    uint256 public priceCumulativeTimestamp;
+    uint256 public decayPeriod;
+    address private _flashLoanReceiver;
+    bool private _locked;
+
+    // Same lock as in OpenZeppelin ReentrancyGuard, but not inlined into every function to fit the pool into size limit
+    modifier nonReentrant() {
+        _lock(true);
+        _;
+        _lock(false);
+    }
+
+    modifier checkDeadline(uint256 deadline) {
+        _checkDeadline(deadline);
+        _;
+    }
 
-    constructor(IERC20[] memory assets, string memory name, string memory symbol) public ERC20(name, symbol) {
+    constructor(IERC20[] memory assets, string memory name, string memory symbol) public ERC20(name, symbol) ERC20Permit(name) {
         require(bytes(name).length > 0, "Mooniswap: name is empty");
         require(bytes(symbol).length > 0, "Mooniswap: symbol is empty");
-        require(assets.length == 2, "Mooniswap: only 2 tokens allowed");
+        require(assets.length >= 2 && assets.length <= MAX_TOKENS, "Mooniswap: 2-8 tokens allowed");
 
         factory = IFactory(msg.sender);
         tokens = assets;
@@ -109,43 +202,202 @@ contract Mooniswap is ERC20, ReentrancyGuard, Ownable {
             require(!isToken[assets[i]], "Mooniswap: duplicate tokens");
             isToken[assets[i]] = true;
         }
+        decayPeriod = VirtualBalance.DEFAULT_DECAY_PERIOD;
+    }
+
+    receive() external payable {
+        require(msg.sender == _flashLoanReceiver, "Mooniswap: ETH deposit rejected");
     }
 
     function fee() public view returns(uint256) {
-        return factory.fee();
+        return factory.poolFee(address(this));
     }
 
     function getTokens() external view returns(IERC20[] memory) {
         return tokens;
     }
 
-    function decayPeriod() external pure returns(uint256) {
-        return VirtualBalance.DECAY_PERIOD;
+    // Returns src balance used for swap from src to dst
+    function getBalanceForAddition(IERC20 src, IERC20 dst) public view returns(uint256) {
+        uint256 balance = reserves[src];
+        return Math.max(virtualBalancesForAddition[src][dst].current(decayPeriod, balance), balance);
     }
 
-    function getBalanceForAddition(IERC20 token) public view returns(uint256) {
-        uint256 balance = token.uniBalanceOf(address(this));
-        return Math.max(virtualBalancesForAddition[token].current(balance), balance);
+    // Returns dst balance used for swap from src to dst
+    function getBalanceForRemoval(IERC20 src, IERC20 dst) public view returns(uint256) {
+        uint256 balance = reserves[dst];
+        return Math.min(virtualBalancesForRemoval[src][dst].current(decayPeriod, balance), balance);
+    }
+
+    function getReturn(IERC20 src, IERC20 dst, uint256 amount) external view returns(uint256) {
+        return _getReturn(src, dst, amount, getBalanceForAddition(src, dst), getBalanceForRemoval(src, dst));
+    }
+
+    // Returns minimal src amount which swap exchanges for at least result of dst, 0 if result is not reachable
+    function getExpectedInput(IERC20 src, IERC20 dst, uint256 result) external view returns(uint256) {
+        return _getExpectedInput(src, dst, result, getBalanceForAddition(src, dst), getBalanceForRemoval(src, dst));
+    }
+
+    function getPriceCumulative(IERC20 src, IERC20 dst) external view returns(uint256) {
+        if (_isPair(src, dst)) {
+            uint256 price = _getPrice(src, dst, decayPeriod, reserves[src], reserves[dst]);
+            // Overflow is desired
+            return priceCumulativeLast[src][dst] + price * (block.timestamp - priceCumulativeTimestamp);
+        }
+    }
+
+    function deposit(uint256[] calldata amounts, uint256[] calldata minAmounts) external payable returns(uint256) {
+        return _deposit(amounts, minAmounts, msg.sender);
     }
 
-    function getBalanceForRemoval(IERC20 token) public view returns(uint256) {
+    function depositWithDeadline(uint256[] calldata amounts, uint256[] calldata minAmounts, uint256 deadline)
+        external payable checkDeadline(deadline) returns(uint256)
+    {
+        return _deposit(amounts, minAmounts, msg.sender);
+    }
+
+    // Tokens are taken from msg.sender, shares are minted to receiver
+    function depositFor(uint256[] calldata amounts, uint256[] calldata minAmounts, address receiver) external payable returns(uint256) {
+        return _deposit(amounts, minAmounts, receiver);
+    }
+
+    function withdraw(uint256 amount, uint256[] calldata minReturns) external {
+        _withdraw(amount, minReturns, msg.sender);
+    }
+
+    function withdrawWithDeadline(uint256 amount, uint256[] calldata minReturns, uint256 deadline) external checkDeadline(deadline) {
+        _withdraw(amount, minReturns, msg.sender);
+    }
+
+    // Shares are burnt from msg.sender, tokens are sent to receiver
+    function withdrawTo(uint256 amount, uint256[] calldata minReturns, address payable receiver) external {
+        _withdraw(amount, minReturns, receiver);
+    }
+
+    function swap(IERC20 src, IERC20 dst, uint256 amount, uint256 minReturn, address referral) external payable returns(uint256) {
+        return _swap(src, dst, amount, minReturn, false, referral, msg.sender);
+    }
+
+    function swapWithDeadline(IERC20 src, IERC20 dst, uint256 amount, uint256 minReturn, address referral, uint256 deadline)
+        external payable checkDeadline(deadline) returns(uint256)
+    {
+        return _swap(src, dst, amount, minReturn, false, referral, msg.sender);
+    }
+
+    // Src amount is taken from msg.sender, result is sent to receiver
+    function swapTo(IERC20 src, IERC20 dst, uint256 amount, uint256 minReturn, address referral, address payable receiver)
+        external payable returns(uint256)
+    {
+        return _swap(src, dst, amount, minReturn, false, referral, receiver);
+    }
+
+    // Takes only src amount needed for exactly result of dst and returns it, excess of ETH value is sent back
+    function swapForExact(IERC20 src, IERC20 dst, uint256 result, uint256 maxInput, address referral) external payable returns(uint256) {
+        return _swap(src, dst, maxInput, result, true, referral, msg.sender);
+    }
+
+    function swapForExactWithDeadline(IERC20 src, IERC20 dst, uint256 result, uint256 maxInput, address referral, uint256 deadline)
+        external payable checkDeadline(deadline) returns(uint256)
+    {
+        return _swap(src, dst, maxInput, result, true, referral, msg.sender);
+    }
+
+    function flashLoan(IFlashLoanReceiver receiver, IERC20 token, uint256 amount, bytes calldata data) external nonReentrant {
+        require(isToken[token], "Mooniswap: token is not in pool");
+        _updatePriceCumulatives();
+
+        // Fee stays in the pool for LPs and is rounded up, so loans are never free with nonzero fee
+        uint256 loanFee = amount.mul(fee()).add(FEE_DENOMINATOR - 1).div(FEE_DENOMINATOR);
         uint256 balance = token.uniBalanceOf(address(this));
-        return Math.min(virtualBalancesForRemoval[token].current(balance), balance);
+
+        _flashLoanReceiver = address(receiver);
+        if (!token.isETH()) {
+            token.uniTransfer(payable(address(receiver)), amount);
+        }
+        receiver.onFlashLoan{ value: token.isETH() ? amount : 0 }(msg.sender, token, amount, loanFee, data);
+        _flashLoanReceiver = address(0);
+
+        // Virtual balances are left as is, repaid fee is added to the reserve for LPs
+        require(token.uniBalanceOf(address(this)) >= balance.add(loanFee), "Mooniswap: flash loan not repaid");
+        reserves[token] = reserves[token].add(loanFee);
+
+        emit FlashLoaned(msg.sender, address(receiver), address(token), amount, loanFee);
     }
 
-    function getReturn(IERC20 src, IERC20 dst, uint256 amount) external view returns(uint256) {
-        return _getReturn(src, dst, amount, getBalanceForAddition(src), getBalanceForRemoval(dst));
+    // Absorbs surplus into reserves and resets virtual balances to them, e.g. after rebase of pool token. Denied in
+    // the block of other pool action, otherwise it would cancel protection of the swap from sandwich attack within the same block
+    function sync() external nonReentrant {
+        require(priceCumulativeTimestamp < block.timestamp, "Mooniswap: action in this block");
+        _updatePriceCumulatives();
+
+        IERC20[] memory _tokens = tokens;
+        for (uint i = 0; i < _tokens.length; i++) {
+            reserves[_tokens[i]] = _tokens[i].uniBalanceOf(address(this));
+            for (uint j = 0; j < _tokens.length; j++) {
+                // Zero time stands for decayed balance
+                delete virtualBalancesForAddition[_tokens[i]][_tokens[j]];
+                delete virtualBalancesForRemoval[_tokens[i]][_tokens[j]];
+            }
+        }
+
+        emit Synced(msg.sender);
+        _emitAllVirtualBalances(_tokens);
     }
 
-    function deposit(uint256[] calldata amounts, uint256[] calldata minAmounts) external payable nonReentrant returns(uint256 fairSupply) {
+    // Sends surplus over reserves to receiver, reserves and virtual balances are left as is
+    function skim(address payable receiver) external nonReentrant {
         IERC20[] memory _tokens = tokens;
-        require(amounts.length == _tokens.length, "Mooniswap: wrong amounts length");
-        require(msg.value == (_tokens[0].isETH() ? amounts[0] : (_tokens[1].isETH() ? amounts[1] : 0)), "Mooniswap: wrong value usage");
+        for (uint i = 0; i < _tokens.length; i++) {
+            uint256 balance = _tokens[i].uniBalanceOf(address(this));
+            uint256 reserve = reserves[_tokens[i]];
+            // Balance is below reserve after negative rebase, sync fixes it
+            if (balance > reserve) {
+                _tokens[i].uniTransfer(receiver, balance - reserve);
+                emit Skimmed(msg.sender, address(_tokens[i]), receiver, balance - reserve);
+            }
+        }
+    }
+
+    // Pool tokens can be rescued only up to reserves, same as skim
+    function rescueFunds(IERC20 token, uint256 amount) external nonReentrant onlyOwner {
+        token.uniTransfer(msg.sender, amount);
 
+        for (uint i = 0; i < tokens.length; i++) {
+            require(tokens[i].uniBalanceOf(address(this)) >= reserves[tokens[i]], "Mooniswap: access denied");
+        }
+        require(balanceOf(address(this)) >= BASE_SUPPLY, "Mooniswap: access denied");
+
+        emit FundsRescued(address(token), amount);
+    }
+
+    function _lock(bool locked) private {
+        require(!locked || !_locked, "ReentrancyGuard: reentrant call");
+        _locked = locked;
+    }
+
+    // Withdrawals are never paused, so LPs can always exit
+    function _checkNotPaused() private view {
+        require(!factory.isPaused(address(this)), "Mooniswap: paused");
+    }
+
+    function _checkDeadline(uint256 deadline) private view {
+        require(block.timestamp <= deadline, "Mooniswap: deadline expired");
+    }
+
+    function _deposit(uint256[] calldata amounts, uint256[] calldata minAmounts, address receiver) private nonReentrant returns(uint256 fairSupply) {
+        _checkNotPaused();
+        IERC20[] memory _tokens = tokens;
+        require(amounts.length == _tokens.length, "Mooniswap: wrong amounts length");
+        uint256 value = 0;
         uint256[] memory realBalances = new uint256[](amounts.length);
         for (uint i = 0; i < realBalances.length; i++) {
-            realBalances[i] = _tokens[i].uniBalanceOf(address(this)).sub(_tokens[i].isETH() ? msg.value : 0);
+            if (_tokens[i].isETH()) {
+                value = amounts[i];
+            }
+            realBalances[i] = reserves[_tokens[i]];
         }
+        require(msg.value == value, "Mooniswap: wrong value usage");
+        _updatePriceCumulatives();
 
         uint256 totalSupply = totalSupply();
         if (totalSupply == 0) {
@@ -166,119 +418,312 @@ contract Mooniswap is ERC20, ReentrancyGuard, Ownable {
         }
 
         uint256 fairSupplyCached = fairSupply;
+        uint256[] memory confirmed = new uint256[](amounts.length);
         for (uint i = 0; i < amounts.length; i++) {
             require(amounts[i] > 0, "Mooniswap: amount is zero");
             uint256 amount = (totalSupply == 0) ? amounts[i] :
                 realBalances[i].mul(fairSupplyCached).add(totalSupply - 1).div(totalSupply);
-            require(amount >= minAmounts[i], "Mooniswap: minAmount not reached");
 
-            _tokens[i].uniTransferFromSenderToThis(amount);
+            confirmed[i] = _transferIn(_tokens[i], amount);
+            require(confirmed[i] >= minAmounts[i], "Mooniswap: minAmount not reached");
             if (totalSupply > 0) {
-                uint256 confirmed = _tokens[i].uniBalanceOf(address(this)).sub(realBalances[i]);
-                fairSupply = Math.min(fairSupply, totalSupply.mul(confirmed).div(realBalances[i]));
+                fairSupply = Math.min(fairSupply, totalSupply.mul(confirmed[i]).div(realBalances[i]));
             }
         }
 
         if (totalSupply > 0) {
-            for (uint i = 0; i < amounts.length; i++) {
-                virtualBalancesForRemoval[_tokens[i]].scale(realBalances[i], totalSupply.add(fairSupply), totalSupply);
-                virtualBalancesForAddition[_tokens[i]].scale(realBalances[i], totalSupply.add(fairSupply), totalSupply);
-            }
+            _scaleVirtualBalances(_tokens, realBalances, totalSupply.add(fairSupply), totalSupply);
         }
 
         require(fairSupply > 0, "Mooniswap: result is not enough");
-        _mint(msg.sender, fairSupply);
+        _mint(receiver, fairSupply);
 
-        emit Deposited(msg.sender, fairSupply);
+        emit Deposited(msg.sender, receiver, fairSupply, confirmed);
+        _emitAllVirtualBalances(_tokens);
     }
 
-    function withdraw(uint256 amount, uint256[] memory minReturns) external nonReentrant {
+    function _withdraw(uint256 amount, uint256[] calldata minReturns, address payable receiver) private nonReentrant {
+        _updatePriceCumulatives();
+
         uint256 totalSupply = totalSupply();
         _burn(msg.sender, amount);
 
-        for (uint i = 0; i < tokens.length; i++) {
-            IERC20 token = tokens[i];
+        IERC20[] memory _tokens = tokens;
+        uint256[] memory preBalances = new uint256[](_tokens.length);
+        uint256[] memory amounts = new uint256[](_tokens.length);
+        for (uint i = 0; i < _tokens.length; i++) {
+            preBalances[i] = reserves[_tokens[i]];
+            amounts[i] = preBalances[i].mul(amount).div(totalSupply);
+            reserves[_tokens[i]] = preBalances[i].sub(amounts[i]);
+        }
 
-            uint256 preBalance = token.uniBalanceOf(address(this));
-            uint256 value = preBalance.mul(amount).div(totalSupply);
-            token.uniTransfer(msg.sender, value);
-            require(i >= minReturns.length || value >= minReturns[i], "Mooniswap: result is not enough");
+        _scaleVirtualBalances(_tokens, preBalances, totalSupply.sub(amount), totalSupply);
 
-            virtualBalancesForAddition[token].scale(preBalance, totalSupply.sub(amount), totalSupply);
-            virtualBalancesForRemoval[token].scale(preBalance, totalSupply.sub(amount), totalSupply);
+        // Payouts go last, so receiver never observes pool in the middle of update
+        for (uint i = 0; i < _tokens.length; i++) {
+            uint256 received = _transferOut(_tokens[i], receiver, amounts[i]);
+            require(i >= minReturns.length || received >= minReturns[i], "Mooniswap: result is not enough");
         }
 
-        emit Withdrawn(msg.sender, amount);
+        emit Withdrawn(msg.sender, receiver, amount, amounts);
+        _emitAllVirtualBalances(_tokens);
     }
 
-    function swap(IERC20 src, IERC20 dst, uint256 amount, uint256 minReturn, address referral) external payable nonReentrant returns(uint256 result) {
+    // For exact result swap amount is max input, minReturn is exact result and taken amount is returned instead of result
+    function _swap(IERC20 src, IERC20 dst, uint256 amount, uint256 minReturn, bool exactResult, address referral, address payable receiver)
+        private nonReentrant returns(uint256 result)
+    {
+        _checkNotPaused();
         require(msg.value == (src.isETH() ? amount : 0), "Mooniswap: wrong value usage");
+        _updatePriceCumulatives();
 
         Balances memory balances = Balances({
-            src: src.uniBalanceOf(address(this)).sub(src.isETH() ? msg.value : 0),
-            dst: dst.uniBalanceOf(address(this))
+            src: reserves[src],
+            dst: reserves[dst]
         });
 
-        // catch possible airdrops and external balance changes for deflationary tokens
-        uint256 srcAdditionBalance = Math.max(virtualBalancesForAddition[src].current(balances.src), balances.src);
-        uint256 dstRemovalBalance = Math.min(virtualBalancesForRemoval[dst].current(balances.dst), balances.dst);
+        Balances memory swapBalances = _getSwapBalances(src, dst, balances);
+
+        if (exactResult) {
+            amount = _checkInput(_getExpectedInput(src, dst, minReturn, swapBalances.src, swapBalances.dst), amount);
+        }
 
-        src.uniTransferFromSenderToThis(amount);
-        uint256 confirmed = src.uniBalanceOf(address(this)).sub(balances.src);
-        result = _getReturn(src, dst, confirmed, srcAdditionBalance, dstRemovalBalance);
+        uint256 confirmed = _transferIn(src, amount);
+        result = _getReturn(src, dst, confirmed, swapBalances.src, swapBalances.dst);
         require(result > 0 && result >= minReturn, "Mooniswap: return is not enough");
-        dst.uniTransfer(msg.sender, result);
+        if (exactResult) {
+            // Rounding surplus stays in the pool
+            result = minReturn;
+        }
+        reserves[dst] = balances.dst.sub(result);
+        _updateVirtualBalances(src, dst, balances, swapBalances, confirmed, result);
+        _mintFeeShares(src, dst, balances, confirmed, result, referral);
+        _transferOut(dst, receiver, result);
+
+        emit Swapped(msg.sender, address(src), address(dst), confirmed, result, balances.src, balances.dst, totalSupply(), referral, receiver);
+        _emitVirtualBalances(src, dst);
+        _emitVirtualBalances(dst, src);
 
+        // Overflow of uint128 is desired
+        volumes[src].confirmed += uint128(confirmed);
+        volumes[src].result += uint128(result);
+        if (exactResult) {
+            return amount;
+        }
+    }
+
+    // Returns src balance for addition and dst balance for removal
+    function _getSwapBalances(IERC20 src, IERC20 dst, Balances memory balances) private view returns(Balances memory) {
+        uint256 period = decayPeriod;
+        return Balances({
+            src: Math.max(virtualBalancesForAddition[src][dst].current(period, balances.src), balances.src),
+            dst: Math.min(virtualBalancesForRemoval[src][dst].current(period, balances.dst), balances.dst)
+        });
+    }
+
+    function _updateVirtualBalances(
+        IERC20 src,
+        IERC20 dst,
+        Balances memory balances,
+        Balances memory swapBalances,
+        uint256 confirmed,
+        uint256 result
+    ) private {
         // Update virtual balances to the same direction only at imbalanced state
-        if (srcAdditionBalance != balances.src) {
-            virtualBalancesForAddition[src].set(srcAdditionBalance.add(confirmed));
+        if (swapBalances.src != balances.src) {
+            virtualBalancesForAddition[src][dst].set(swapBalances.src.add(confirmed));
         }
-        if (dstRemovalBalance != balances.dst) {
-            virtualBalancesForRemoval[dst].set(dstRemovalBalance.sub(result));
+        if (swapBalances.dst != balances.dst) {
+            virtualBalancesForRemoval[src][dst].set(swapBalances.dst.sub(result));
         }
 
         // Update virtual balances to the opposite direction
-        virtualBalancesForRemoval[src].update(balances.src);
-        virtualBalancesForAddition[dst].update(balances.dst);
-
-        if (referral != address(0)) {
-            uint256 invariantRatio = uint256(1e36);
-            invariantRatio = invariantRatio.mul(balances.src.add(confirmed)).div(balances.src);
-            invariantRatio = invariantRatio.mul(balances.dst.sub(result)).div(balances.dst);
-            if (invariantRatio > 1e36) {
-                // calculate share only if invariant increased
-                uint256 referralShare = invariantRatio.sqrt().sub(1e18).mul(totalSupply()).div(1e18).div(REFERRAL_SHARE);
-                if (referralShare > 0) {
-                    _mint(referral, referralShare);
+        uint256 period = decayPeriod;
+        virtualBalancesForRemoval[dst][src].update(period, balances.src);
+        virtualBalancesForAddition[dst][src].update(period, balances.dst);
+    }
+
+    function _checkInput(uint256 input, uint256 maxInput) private pure returns(uint256) {
+        require(input > 0 && input <= maxInput, "Mooniswap: input is too big");
+        return input;
+    }
+
+    // Fee-on-transfer tokens deliver less than requested, only received amount is added to the reserve
+    function _transferIn(IERC20 token, uint256 amount) private returns(uint256 confirmed) {
+        uint256 balance = token.uniBalanceOf(address(this)).sub(token.isETH() ? msg.value : 0);
+        token.uniTransferFromSenderToThis(amount);
+        confirmed = token.uniBalanceOf(address(this)).sub(balance);
+        reserves[token] = reserves[token].add(confirmed);
+    }
+
+    // ETH is sent with all gas left under reentrancy lock, payout rejected by receiver is escrowed in factory for claim.
+    // Returns amount received, for fee-on-transfer tokens it is less than sent
+    function _transferOut(IERC20 token, address payable to, uint256 amount) private returns(uint256 received) {
+        if (token.isETH()) {
+            if (amount > 0 && !UniERC20.trySendValue(to, amount)) {
+                factory.escrow{ value: amount }(to);
+            }
+            return amount;
+        }
+
+        received = token.uniBalanceOf(to);
+        token.uniTransfer(to, amount);
+        received = token.uniBalanceOf(to).sub(received);
+    }
+
+    function _emitVirtualBalances(IERC20 src, IERC20 dst) private {
+        emit VirtualBalancesUpdated(address(src), address(dst), getBalanceForAddition(src, dst), getBalanceForRemoval(src, dst));
+    }
+
+    function _emitAllVirtualBalances(IERC20[] memory _tokens) private {
+        for (uint i = 0; i < _tokens.length; i++) {
+            for (uint j = 0; j < _tokens.length; j++) {
+                if (i != j) {
+                    _emitVirtualBalances(_tokens[i], _tokens[j]);
+                }
+            }
+        }
+    }
+
+    function _scaleVirtualBalances(IERC20[] memory _tokens, uint256[] memory realBalances, uint256 num, uint256 denom) private {
+        uint256 period = decayPeriod;
+        for (uint i = 0; i < _tokens.length; i++) {
+            for (uint j = 0; j < _tokens.length; j++) {
+                if (i != j) {
+                    virtualBalancesForAddition[_tokens[i]][_tokens[j]].scale(period, realBalances[i], num, denom);
+                    virtualBalancesForRemoval[_tokens[i]][_tokens[j]].scale(period, realBalances[j], num, denom);
                 }
             }
         }
+    }
 
-        emit Swapped(msg.sender, address(src), address(dst), confirmed, result, balances.src, balances.dst, totalSupply(), referral);
+    // Also applies decay period voted by LPs, so new period is used only from now on
+    function _updatePriceCumulatives() private {
+        uint256 timeElapsed = block.timestamp - priceCumulativeTimestamp;
+        uint256 period = decayPeriod;
+        uint256 newPeriod = factory.poolDecayPeriod(address(this));
+        if (timeElapsed == 0 && newPeriod == period) {
+            return;
+        }
 
-        // Overflow of uint128 is desired
-        volumes[src].confirmed += uint128(confirmed);
-        volumes[src].result += uint128(result);
+        IERC20[] memory _tokens = tokens;
+        uint256[] memory realBalances = new uint256[](_tokens.length);
+        for (uint i = 0; i < _tokens.length; i++) {
+            realBalances[i] = reserves[_tokens[i]];
+        }
+
+        for (uint i = 0; i < _tokens.length; i++) {
+            for (uint j = 0; j < _tokens.length; j++) {
+                if (i != j) {
+                    // Overflow is desired
+                    priceCumulativeLast[_tokens[i]][_tokens[j]] += _getPrice(_tokens[i], _tokens[j], period, realBalances[i], realBalances[j]) * timeElapsed;
+                    if (newPeriod != period) {
+                        virtualBalancesForAddition[_tokens[i]][_tokens[j]].rebase(period, realBalances[i]);
+                        virtualBalancesForRemoval[_tokens[i]][_tokens[j]].rebase(period, realBalances[j]);
+                    }
+                }
+            }
+        }
+        priceCumulativeTimestamp = block.timestamp;
+
+        if (newPeriod != period) {
+            decayPeriod = newPeriod;
+            emit DecayPeriodUpdated(newPeriod);
+        }
     }
 
-    function rescueFunds(IERC20 token, uint256 amount) external nonReentrant onlyOwner {
-        uint256[] memory balances = new uint256[](tokens.length);
-        for (uint i = 0; i < balances.length; i++) {
-            balances[i] = tokens[i].uniBalanceOf(address(this));
+    function _getPrice(IERC20 src, IERC20 dst, uint256 period, uint256 srcBalance, uint256 dstBalance) private view returns(uint256) {
+        uint256 srcAdditionBalance = Math.max(virtualBalancesForAddition[src][dst].current(period, srcBalance), srcBalance);
+        if (srcAdditionBalance == 0) {
+            return 0;
         }
 
-        token.uniTransfer(msg.sender, amount);
+        uint256 dstRemovalBalance = Math.min(virtualBalancesForRemoval[src][dst].current(period, dstBalance), dstBalance);
+        return _getSpotPrice(src, dst, srcAdditionBalance, dstRemovalBalance);
+    }
 
-        for (uint i = 0; i < balances.length; i++) {
-            require(tokens[i].uniBalanceOf(address(this)) >= balances[i], "Mooniswap: access denied");
+    // Keeps LP votes in factory weighted by actual shares
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        factory.updateStakes(from, to, amount);
+    }
+
+    function _mintFeeShares(IERC20 src, IERC20 dst, Balances memory balances, uint256 confirmed, uint256 result, address referral) private {
+        address feeReceiver = factory.feeReceiver();
+        uint256 protocolFee = (feeReceiver != address(0)) ? factory.protocolFee() : 0;
+        if (referral == address(0) && protocolFee == 0) {
+            return;
         }
-        require(balanceOf(address(this)) >= BASE_SUPPLY, "Mooniswap: access denied");
+
+        uint256 lpShare = _getShareGrowth(src, dst, balances, confirmed, result);
+        if (lpShare > 0) {
+            // both are taken from the same LPs revenue
+            if (referral != address(0)) {
+                uint256 referralShare = lpShare.div(REFERRAL_SHARE);
+                if (referralShare > 0) {
+                    _mint(referral, referralShare);
+                }
+            }
+
+            uint256 protocolShare = lpShare.mul(protocolFee).div(FEE_DENOMINATOR);
+            if (protocolShare > 0) {
+                _mint(feeReceiver, protocolShare);
+            }
+        }
+    }
+
+    function _isPair(IERC20 src, IERC20 dst) internal view returns(bool) {
+        return isToken[src] && isToken[dst] && src != dst;
+    }
+
+    // Returns supply growth which keeps share price after swap, it is LPs revenue in shares
+    function _getShareGrowth(IERC20 /*src*/, IERC20 /*dst*/, Balances memory balances, uint256 confirmed, uint256 result)
+        internal view virtual returns(uint256)
+    {
+        uint256 invariantRatio = uint256(1e36);
+        invariantRatio = invariantRatio.mul(balances.src.add(confirmed)).div(balances.src);
+        invariantRatio = invariantRatio.mul(balances.dst.sub(result)).div(balances.dst);
+        if (invariantRatio <= 1e36) {
+            // calculate shares only if invariant increased
+            return 0;
+        }
+
+        if (tokens.length == 2) {
+            return invariantRatio.sqrt().sub(1e18).mul(totalSupply()).div(1e18);
+        }
+        // Supply grows as N-th root of invariant ratio (1 + x), which is not less than 1 + x / (N * (1 + x))
+        return invariantRatio.sub(1e36).mul(totalSupply()).div(invariantRatio).div(tokens.length);
+    }
+
+    // Returns dst amount per src amount with PRICE_PRECISION for the pair balances used in swap
+    function _getSpotPrice(IERC20 /*src*/, IERC20 /*dst*/, uint256 srcBalance, uint256 dstBalance) internal view virtual returns(uint256) {
+        return dstBalance.mul(PRICE_PRECISION).div(srcBalance);
     }
 
-    function _getReturn(IERC20 src, IERC20 dst, uint256 amount, uint256 srcBalance, uint256 dstBalance) internal view returns(uint256) {
-        if (isToken[src] && isToken[dst] && src != dst && amount > 0) {
+    // Pool keeps product of all token balances, swap changes only src and dst balances,
+    // so for any number of tokens it is the same constant product formula for the pair
+    function _getReturn(IERC20 src, IERC20 dst, uint256 amount, uint256 srcBalance, uint256 dstBalance) internal view virtual returns(uint256) {
+        if (_isPair(src, dst) && amount > 0) {
             uint256 taxedAmount = amount.sub(amount.mul(fee()).div(FEE_DENOMINATOR));
             return taxedAmount.mul(dstBalance).div(srcBalance.add(taxedAmount));
         }
     }
+
+    function _getExpectedInput(IERC20 src, IERC20 dst, uint256 result, uint256 srcBalance, uint256 dstBalance) private view returns(uint256) {
+        if (_isPair(src, dst) && result > 0) {
+            uint256 taxedAmount = _getTaxedInput(src, dst, result, srcBalance, dstBalance);
+            if (taxedAmount > 0) {
+                // Minimal amount for which amount - amount * fee / FEE_DENOMINATOR rounded down is at least taxedAmount
+                return taxedAmount.sub(1).mul(FEE_DENOMINATOR).div(FEE_DENOMINATOR.sub(fee())).add(1);
+            }
+        }
+    }
+
+    // Inverse of _getReturn before fee: minimal taxed amount for at least result, rounded up in favor of the pool
+    function _getTaxedInput(IERC20 /*src*/, IERC20 /*dst*/, uint256 result, uint256 srcBalance, uint256 dstBalance)
+        internal view virtual returns(uint256)
+    {
+        if (result < dstBalance) {
+            return result.mul(srcBalance).add(dstBalance - result - 1).div(dstBalance - result);
+        }
+    }
 }
@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "./MooniswapStable.sol";
+
+
+interface IPoolArgs {
+    // Abi-encoded constructor arguments of the pool being deployed
+    function deployArgs() external view returns(bytes memory);
+}
+
+
+library PoolArgs {
+    // abi.decode does not support arrays of contract types
+    function toTokens(address[] memory assets) internal pure returns(IERC20[] memory tokens) {
+        tokens = new IERC20[](assets.length);
+        for (uint i = 0; i < assets.length; i++) {
+            tokens[i] = IERC20(assets[i]);
+        }
+    }
+}
+
+
+// Factory deploys pools with CREATE2 from the same init code, so pool address depends only on the salt.
+// Constructor arguments are read back from the factory, which is msg.sender during construction.
+contract MooniswapPool is Mooniswap {
+    // solhint-disable-next-line no-empty-blocks
+    constructor() public Mooniswap(_tokens(), _name(), _symbol()) {
+    }
+
+    function _args() private view returns(IERC20[] memory tokens, string memory name, string memory symbol) {
+        address[] memory assets;
+        (assets, name, symbol) = abi.decode(IPoolArgs(msg.sender).deployArgs(), (address[], string, string));
+        tokens = PoolArgs.toTokens(assets);
+    }
+
+    function _tokens() private view returns(IERC20[] memory tokens) {
+        (tokens,,) = _args();
+    }
+
+    function _name() private view returns(string memory name) {
+        (, name,) = _args();
+    }
+
+    function _symbol() private view returns(string memory symbol) {
+        (,, symbol) = _args();
+    }
+}
+
+
+contract MooniswapStablePool is MooniswapStable {
+    // solhint-disable-next-line no-empty-blocks
+    constructor() public MooniswapStable(_tokens(), _name(), _symbol(), _amplification()) {
+    }
+
+    function _args() private view returns(IERC20[] memory tokens, string memory name, string memory symbol, uint256 initialA) {
+        address[] memory assets;
+        (assets, name, symbol, initialA) = abi.decode(IPoolArgs(msg.sender).deployArgs(), (address[], string, string, uint256));
+        tokens = PoolArgs.toTokens(assets);
+    }
+
+    function _tokens() private view returns(IERC20[] memory tokens) {
+        (tokens,,,) = _args();
+    }
+
+    function _name() private view returns(string memory name) {
+        (, name,,) = _args();
+    }
+
+    function _symbol() private view returns(string memory symbol) {
+        (,, symbol,) = _args();
+    }
+
+    function _amplification() private view returns(uint256 initialA) {
+        (,,, initialA) = _args();
+    }
+}
@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "./libraries/StableSwap.sol";
+import "./Mooniswap.sol";
+
+
+// Pool for pegged pairs, swaps along StableSwap curve over the same virtual balances as Mooniswap
+contract MooniswapStable is Mooniswap {
+    using SafeMath for uint256;
+    using UniERC20 for IERC20;
+    using StableSwap for StableSwap.Amplification;
+
+    event RampA(
+        uint256 initialA,
+        uint256 futureA,
+        uint256 initialTime,
+        uint256 futureTime
+    );
+
+    event StopRampA(
+        uint256 currentA,
+        uint256 time
+    );
+
+    StableSwap.Amplification public amplification;
+    // Multipliers normalize token balances to 18 decimals
+    mapping(IERC20 => uint256) public precisionMultipliers;
+
+    constructor(IERC20[] memory assets, string memory name, string memory symbol, uint256 initialA)
+        public Mooniswap(assets, name, symbol)
+    {
+        require(assets.length == 2, "Mooniswap: only 2 tokens allowed");
+
+        for (uint i = 0; i < assets.length; i++) {
+            uint256 decimals = assets[i].uniDecimals();
+            require(decimals <= 18, "Mooniswap: too many decimals");
+            precisionMultipliers[assets[i]] = 10 ** (18 - decimals);
+        }
+
+        amplification.init(initialA);
+    }
+
+    function getA() external view returns(uint256) {
+        return getAPrecise().div(StableSwap.A_PRECISION);
+    }
+
+    // Returns amplification multiplied by StableSwap.A_PRECISION, it moves linearly during the ramp
+    function getAPrecise() public view returns(uint256) {
+        return amplification.getA();
+    }
+
+    function rampA(uint256 futureA, uint256 futureTime) external onlyOwner {
+        uint256 initialA = amplification.rampA(futureA, futureTime);
+        emit RampA(initialA, futureA.mul(StableSwap.A_PRECISION), block.timestamp, futureTime);
+    }
+
+    function stopRampA() external onlyOwner {
+        emit StopRampA(amplification.stopRampA(), block.timestamp);
+    }
+
+    // Share price follows invariant D, which grows only by fees
+    function _getShareGrowth(IERC20 src, IERC20 dst, Balances memory balances, uint256 confirmed, uint256 result)
+        internal view override returns(uint256)
+    {
+        uint256 srcMultiplier = precisionMultipliers[src];
+        uint256 dstMultiplier = precisionMultipliers[dst];
+        // Normalized balances after swap
+        confirmed = balances.src.add(confirmed).mul(srcMultiplier);
+        result = balances.dst.sub(result).mul(dstMultiplier);
+        (uint256 d0, uint256 d1) = amplification.getInvariants(
+            balances.src.mul(srcMultiplier),
+            balances.dst.mul(dstMultiplier),
+            confirmed,
+            result
+        );
+        if (d1 <= d0) {
+            return 0;
+        }
+        return d1.sub(d0).mul(totalSupply()).div(d0);
+    }
+
+    function _getSpotPrice(IERC20 src, IERC20 dst, uint256 srcBalance, uint256 dstBalance) internal view override returns(uint256) {
+        if (dstBalance == 0) {
+            return 0;
+        }
+
+        uint256 srcMultiplier = precisionMultipliers[src];
+        uint256 dstMultiplier = precisionMultipliers[dst];
+        uint256 price = amplification.getPrice(srcBalance.mul(srcMultiplier), dstBalance.mul(dstMultiplier));
+        // Curve price has the same 1e18 precision as PRICE_PRECISION, convert it back to token decimals
+        return price.mul(srcMultiplier).div(dstMultiplier);
+    }
+
+    function _getReturn(IERC20 src, IERC20 dst, uint256 amount, uint256 srcBalance, uint256 dstBalance) internal view override returns(uint256) {
+        if (_isPair(src, dst) && amount > 0 && srcBalance > 0 && dstBalance > 0) {
+            uint256 taxedAmount = amount.sub(amount.mul(fee()).div(FEE_DENOMINATOR));
+            uint256 srcMultiplier = precisionMultipliers[src];
+            uint256 dstMultiplier = precisionMultipliers[dst];
+            uint256 result = amplification.getReturn(
+                srcBalance.mul(srcMultiplier),
+                dstBalance.mul(dstMultiplier),
+                taxedAmount.mul(srcMultiplier)
+            );
+            return result.div(dstMultiplier);
+        }
+    }
+
+    function _getTaxedInput(IERC20 src, IERC20 dst, uint256 result, uint256 srcBalance, uint256 dstBalance) internal view override returns(uint256) {
+        if (srcBalance > 0 && dstBalance > 0) {
+            uint256 srcMultiplier = precisionMultipliers[src];
+            uint256 dstMultiplier = precisionMultipliers[dst];
+            uint256 input = amplification.getInput(
+                srcBalance.mul(srcMultiplier),
+                dstBalance.mul(dstMultiplier),
+                result.mul(dstMultiplier)
+            );
+            // Round up in favor of the pool
+            return input.add(srcMultiplier - 1).div(srcMultiplier);
+        }
+    }
+}
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+
+// Keeps a part of pool creation code as its runtime code
+contract CodeChunk {
+    constructor(bytes memory code) public {
+        // Leading STOP opcode keeps the chunk from being executed
+        bytes memory runtime = abi.encodePacked(byte(0), code);
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            return(add(runtime, 0x20), mload(runtime))
+        }
+    }
+}
+
+
+// Pool creation code does not fit into contract size limit, so it is stored in two chunks and
+// assembled on deploy. Factory calls deploy via DELEGATECALL, so it remains msg.sender for the pool
+// and the pool address is CREATE2 address of the factory. Creation code takes no constructor arguments,
+// so init code hash is the same for all pools of the deployer.
+contract PoolDeployer {
+    CodeChunk public immutable head;
+    CodeChunk public immutable tail;
+
+    constructor(CodeChunk codeHead, CodeChunk codeTail) public {
+        head = codeHead;
+        tail = codeTail;
+    }
+
+    function initCodeHash() external view returns(bytes32) {
+        return keccak256(_initCode());
+    }
+
+    function deploy(bytes32 salt) external returns(address pool) {
+        bytes memory code = _initCode();
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            pool := create2(0, add(code, 0x20), mload(code), salt)
+            if iszero(pool) {
+                // Bubble up constructor revert reason
+                returndatacopy(0, 0, returndatasize())
+                revert(0, returndatasize())
+            }
+        }
+    }
+
+    function _initCode() private view returns(bytes memory) {
+        return abi.encodePacked(_readChunk(address(head)), _readChunk(address(tail)));
+    }
+
+    function _readChunk(address chunk) private view returns(bytes memory code) {
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            let size := sub(extcodesize(chunk), 1)
+            code := mload(0x40)
+            mstore(code, size)
+            extcodecopy(chunk, add(code, 0x20), 1, size)
+            mstore(0x40, and(add(add(code, 0x3f), size), not(0x1f)))
+        }
+    }
+}
@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+
+// StableSwap invariant for two balances normalized to the same precision:
+// A * n^n * (x + y) + D = A * D * n^n + D^(n+1) / (n^n * x * y), where n = 2.
+// Functions are public to keep the math out of pool bytecode.
+library StableSwap {
+    using SafeMath for uint256;
+
+    // Amplification values are multiplied by A_PRECISION
+    struct Amplification {
+        uint64 initialA;
+        uint64 futureA;
+        uint64 initialTime;
+        uint64 futureTime;
+    }
+
+    uint256 public constant A_PRECISION = 100;
+    uint256 public constant MAX_A = 1e6;
+    uint256 public constant MAX_A_CHANGE = 10;
+    uint256 public constant MIN_RAMP_TIME = 1 days;
+    uint256 private constant _N = 2;
+    uint256 private constant _MAX_ITERATIONS = 255;
+
+    function init(Amplification storage self, uint256 amplification) public {
+        require(amplification > 0 && amplification <= MAX_A, "StableSwap: A is out of range");
+        self.initialA = uint64(amplification.mul(A_PRECISION));
+        self.futureA = self.initialA;
+    }
+
+    // Returns amplification linearly moving from initialA to futureA during the ramp
+    function getA(Amplification storage self) public view returns(uint256) {
+        Amplification memory amp = self;
+        if (block.timestamp >= amp.futureTime) {
+            return amp.futureA;
+        }
+
+        uint256 timePassed = block.timestamp.sub(amp.initialTime);
+        uint256 duration = uint256(amp.futureTime).sub(amp.initialTime);
+        if (amp.futureA > amp.initialA) {
+            return uint256(amp.initialA).add(uint256(amp.futureA - amp.initialA).mul(timePassed).div(duration));
+        }
+        return uint256(amp.initialA).sub(uint256(amp.initialA - amp.futureA).mul(timePassed).div(duration));
+    }
+
+    // Starts moving amplification to newA until newTime, returns amplification at the start
+    function rampA(Amplification storage self, uint256 newA, uint256 newTime) public returns(uint256 currentA) {
+        require(block.timestamp >= uint256(self.initialTime).add(MIN_RAMP_TIME), "StableSwap: ramp is too frequent");
+        require(newTime >= block.timestamp.add(MIN_RAMP_TIME), "StableSwap: ramp is too fast");
+        require(newA > 0 && newA <= MAX_A, "StableSwap: A is out of range");
+
+        currentA = getA(self);
+        uint256 newAPrecise = newA.mul(A_PRECISION);
+        if (newAPrecise < currentA) {
+            require(newAPrecise.mul(MAX_A_CHANGE) >= currentA, "StableSwap: A change is too big");
+        } else {
+            require(newAPrecise <= currentA.mul(MAX_A_CHANGE), "StableSwap: A change is too big");
+        }
+
+        self.initialA = uint64(currentA);
+        self.futureA = uint64(newAPrecise);
+        self.initialTime = uint64(block.timestamp);
+        self.futureTime = uint64(newTime);
+    }
+
+    // Freezes amplification at its current value
+    function stopRampA(Amplification storage self) public returns(uint256 currentA) {
+        currentA = getA(self);
+        self.initialA = uint64(currentA);
+        self.futureA = uint64(currentA);
+        self.initialTime = uint64(block.timestamp);
+        self.futureTime = uint64(block.timestamp);
+    }
+
+    // Returns invariant D for balances x and y, amp is A * A_PRECISION
+    function getD(uint256 x, uint256 y, uint256 amp) public pure returns(uint256 d) {
+        uint256 s = x.add(y);
+        if (s == 0) {
+            return 0;
+        }
+
+        d = s;
+        uint256 ann = amp.mul(_N);
+        for (uint i = 0; i < _MAX_ITERATIONS; i++) {
+            uint256 dP = d.mul(d).div(x.mul(_N)).mul(d).div(y.mul(_N));
+            uint256 prev = d;
+            d = ann.mul(s).div(A_PRECISION).add(dP.mul(_N)).mul(d).div(
+                ann.sub(A_PRECISION).mul(d).div(A_PRECISION).add(dP.mul(_N + 1))
+            );
+            if (_isClose(d, prev)) {
+                return d;
+            }
+        }
+        revert("StableSwap: D does not converge");
+    }
+
+    // Returns decrease of balance y which keeps the invariant after balance x grows by amount
+    function getReturn(Amplification storage self, uint256 x, uint256 y, uint256 amount) public view returns(uint256) {
+        uint256 amp = getA(self);
+        return _getReturn(x, y, amount, getD(x, y, amp), amp);
+    }
+
+    // Returns minimal increase of balance x for which getReturn is at least amount, 0 if amount is not reachable
+    function getInput(Amplification storage self, uint256 x, uint256 y, uint256 amount) public view returns(uint256 input) {
+        if (amount.add(1) >= y) {
+            return 0;
+        }
+
+        uint256 amp = getA(self);
+        uint256 d = getD(x, y, amp);
+        // Invariant is symmetric, so getY also gives balance x for balance y
+        uint256 newX = getY(y.sub(amount).sub(1), d, amp);
+        input = (newX > x) ? newX - x : 1;
+        // getY is precise up to rounding, step up until getReturn confirms the amount
+        while (_getReturn(x, y, input, d, amp) < amount) {
+            input++;
+        }
+        // and down while it is still enough
+        while (input > 1 && _getReturn(x, y, input - 1, d, amp) >= amount) {
+            input--;
+        }
+    }
+
+    // Returns invariants before and after balances change
+    function getInvariants(Amplification storage self, uint256 x0, uint256 y0, uint256 x1, uint256 y1)
+        public view returns(uint256 d0, uint256 d1)
+    {
+        uint256 amp = getA(self);
+        d0 = getD(x0, y0, amp);
+        d1 = getD(x1, y1, amp);
+    }
+
+    // Returns balance y which keeps invariant D for new balance x
+    function getY(uint256 x, uint256 d, uint256 amp) public pure returns(uint256 y) {
+        uint256 ann = amp.mul(_N);
+        uint256 c = d.mul(d).div(x.mul(_N)).mul(d).mul(A_PRECISION).div(ann.mul(_N));
+        uint256 b = x.add(d.mul(A_PRECISION).div(ann));
+
+        y = d;
+        for (uint i = 0; i < _MAX_ITERATIONS; i++) {
+            uint256 prev = y;
+            y = y.mul(y).add(c).div(y.mul(2).add(b).sub(d));
+            if (_isClose(y, prev)) {
+                return y;
+            }
+        }
+        revert("StableSwap: y does not converge");
+    }
+
+    // Returns marginal price dy/dx with 1e18 precision, ratio of the invariant partial derivatives
+    function getPrice(Amplification storage self, uint256 x, uint256 y) public view returns(uint256) {
+        uint256 amp = getA(self);
+        uint256 d = getD(x, y, amp);
+        uint256 ann = amp.mul(_N).mul(1e18).div(A_PRECISION);
+        uint256 dP = d.mul(d).div(x.mul(_N)).mul(d).div(y.mul(_N));
+        return ann.add(dP.mul(1e18).div(x)).mul(1e18).div(
+            ann.add(dP.mul(1e18).div(y))
+        );
+    }
+
+    function _getReturn(uint256 x, uint256 y, uint256 amount, uint256 d, uint256 amp) private pure returns(uint256) {
+        uint256 newY = getY(x.add(amount), d, amp);
+        if (y > newY.add(1)) {
+            // Subtract 1 to round in favor of the pool
+            return y.sub(newY).sub(1);
+        }
+    }
+
+    function _isClose(uint256 a, uint256 b) private pure returns(bool) {
+        return (a > b) ? (a - b <= 1) : (b - a <= 1);
+    }
+}
@@ -26,7 +26,7 @@ library UniERC20 {
     function uniTransfer(IERC20 token, address payable to, uint256 amount) internal {
         if (amount > 0) {
             if (isETH(token)) {
-                to.transfer(amount);
+                require(trySendValue(to, amount), "UniERC20: ETH transfer failed");
             } else {
                 token.safeTransfer(to, amount);
             }
@@ -39,7 +39,7 @@ library UniERC20 {
                 require(msg.value >= amount, "UniERC20: not enough value");
                 if (msg.value > amount) {
                     // Return remainder if exist
-                    msg.sender.transfer(msg.value.sub(amount));
+                    require(trySendValue(msg.sender, msg.value.sub(amount)), "UniERC20: ETH transfer failed");
                 }
             } else {
                 token.safeTransferFrom(msg.sender, address(this), amount);
@@ -47,6 +47,37 @@ library UniERC20 {
         }
     }
 
+    // Unlike transfer forwards all gas, so contract wallets can receive ETH. Callers must be guarded from reentrancy
+    function trySendValue(address payable to, uint256 amount) internal returns(bool success) {
+        // solhint-disable-next-line avoid-low-level-calls
+        (success, ) = to.call{ value: amount }("");
+    }
+
+    function uniApprove(IERC20 token, address to, uint256 amount) internal {
+        require(!isETH(token), "UniERC20: approve called on ETH");
+
+        uint256 allowance = token.allowance(address(this), to);
+        if (allowance < amount) {
+            if (allowance > 0) {
+                // Some tokens (like USDT) do not allow to change non-zero allowance
+                token.safeApprove(to, 0);
+            }
+            token.safeApprove(to, amount);
+        }
+    }
+
+    function uniDecimals(IERC20 token) internal view returns(uint256) {
+        if (isETH(token)) {
+            return 18;
+        }
+
+        (bool success, bytes memory data) = address(token).staticcall{ gas: 20000 }(
+            abi.encodeWithSignature("decimals()")
+        );
+        require(success && data.length == 32, "UniERC20: decimals not readable");
+        return abi.decode(data, (uint256));
+    }
+
     function uniSymbol(IERC20 token) internal view returns(string memory) {
         if (isETH(token)) {
             return "ETH";
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+
+// Stake-weighted average of votes, stake of accounts without vote counts for default value
+library Voting {
+    using SafeMath for uint256;
+
+    struct Vote {
+        bool voted;
+        uint256 value;
+    }
+
+    struct Data {
+        uint256 weightedSum; // sum of stake * value of voted accounts
+        uint256 votedStake;
+        mapping(address => Vote) votes;
+    }
+
+    function vote(Data storage self, address account, uint256 stake, uint256 value) internal {
+        discard(self, account, stake);
+        self.votes[account] = Vote({
+            voted: true,
+            value: value
+        });
+        self.weightedSum = self.weightedSum.add(stake.mul(value));
+        self.votedStake = self.votedStake.add(stake);
+    }
+
+    function discard(Data storage self, address account, uint256 stake) internal {
+        Vote memory old = self.votes[account];
+        if (old.voted) {
+            self.weightedSum = self.weightedSum.sub(stake.mul(old.value));
+            self.votedStake = self.votedStake.sub(stake);
+            delete self.votes[account];
+        }
+    }
+
+    // Moves weight of amount along with stake, zero address stands for mint and burn and never votes
+    function updateStakes(Data storage self, address from, address to, uint256 amount) internal {
+        Vote memory fromVote = self.votes[from];
+        if (fromVote.voted) {
+            self.weightedSum = self.weightedSum.sub(amount.mul(fromVote.value));
+            self.votedStake = self.votedStake.sub(amount);
+        }
+
+        Vote memory toVote = self.votes[to];
+        if (toVote.voted) {
+            self.weightedSum = self.weightedSum.add(amount.mul(toVote.value));
+            self.votedStake = self.votedStake.add(amount);
+        }
+    }
+
+    function result(Data storage self, uint256 totalStake, uint256 defaultValue) internal view returns(uint256) {
+        if (totalStake == 0) {
+            return defaultValue;
+        }
+        return self.weightedSum.add(totalStake.sub(self.votedStake).mul(defaultValue)).div(totalStake);
+    }
+}
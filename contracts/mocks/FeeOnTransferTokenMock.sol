@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "./TokenMock.sol";
+
+
+// Burns fee of every transfer, so recipient gets less than sent
+contract FeeOnTransferTokenMock is TokenMock {
+    uint256 public feePercent;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals,
+        uint256 transferFeePercent
+    )
+        public
+        TokenMock(name, symbol, decimals)
+    {
+        feePercent = transferFeePercent;
+    }
+
+    function _transfer(address sender, address recipient, uint256 amount) internal override {
+        uint256 fee = amount.mul(feePercent).div(100);
+        _burn(sender, fee);
+        super._transfer(sender, recipient, amount.sub(fee));
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "../libraries/UniERC20.sol";
+import "../Mooniswap.sol";
+
+
+contract FlashLoanReceiverMock is IFlashLoanReceiver {
+    using SafeMath for uint256;
+    using UniERC20 for IERC20;
+
+    uint256 public shortage;
+    bool public reenter;
+
+    // solhint-disable-next-line no-empty-blocks
+    receive() external payable {
+    }
+
+    function setMode(uint256 newShortage, bool newReenter) external {
+        shortage = newShortage;
+        reenter = newReenter;
+    }
+
+    function flashLoan(Mooniswap pool, IERC20 token, uint256 amount) external {
+        pool.flashLoan(this, token, amount, "");
+    }
+
+    function onFlashLoan(address /* initiator */, IERC20 token, uint256 amount, uint256 fee, bytes calldata data) external payable override {
+        require(token.uniBalanceOf(address(this)) >= amount, "FlashLoanReceiverMock: no loan");
+        if (reenter) {
+            Mooniswap(msg.sender).flashLoan(this, token, amount, data);
+        }
+
+        token.uniTransfer(msg.sender, amount.add(fee).sub(shortage));
+    }
+}
@@ -7,14 +7,59 @@ import "../Mooniswap.sol";
 
 contract FactoryMock is IFactory {
     uint256 private _fee;
+    uint256 private _protocolFee;
+    address private _feeReceiver;
+    uint256 private _decayPeriod = VirtualBalance.DEFAULT_DECAY_PERIOD;
+    bool private _paused;
+    mapping(address => uint256) public escrowed;
 
-    function fee() external view override returns(uint256) {
+    function poolFee(address /* pool */) external view override returns(uint256) {
         return _fee;
     }
 
+    function protocolFee() external view override returns(uint256) {
+        return _protocolFee;
+    }
+
+    function feeReceiver() external view override returns(address) {
+        return _feeReceiver;
+    }
+
+    function poolDecayPeriod(address /* pool */) external view override returns(uint256) {
+        return _decayPeriod;
+    }
+
+    function isPaused(address /* pool */) external view override returns(bool) {
+        return _paused;
+    }
+
+    function escrow(address account) external payable override {
+        escrowed[account] += msg.value;
+    }
+
+    // solhint-disable-next-line no-empty-blocks
+    function updateStakes(address /* from */, address /* to */, uint256 /* amount */) external override {
+    }
+
     function setFee(uint256 newFee) external {
         _fee = newFee;
     }
+
+    function setProtocolFee(uint256 newProtocolFee) external {
+        _protocolFee = newProtocolFee;
+    }
+
+    function setFeeReceiver(address newFeeReceiver) external {
+        _feeReceiver = newFeeReceiver;
+    }
+
+    function setDecayPeriod(uint256 newDecayPeriod) external {
+        _decayPeriod = newDecayPeriod;
+    }
+
+    function setPaused(bool paused) external {
+        _paused = paused;
+    }
 }
 
 
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "./TokenMock.sol";
+
+
+// Stores balances as shares of supply, so rebase changes balances of all holders at once
+contract RebasingTokenMock is TokenMock {
+    uint256 public constant INDEX_PRECISION = 1e18;
+
+    uint256 public index;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals
+    )
+        public
+        TokenMock(name, symbol, decimals)
+    {
+        index = INDEX_PRECISION;
+    }
+
+    function rebase(uint256 newIndex) external onlyOwner {
+        index = newIndex;
+    }
+
+    function totalSupply() public view override returns(uint256) {
+        return super.totalSupply().mul(index).div(INDEX_PRECISION);
+    }
+
+    function balanceOf(address account) public view override returns(uint256) {
+        return super.balanceOf(account).mul(index).div(INDEX_PRECISION);
+    }
+
+    function _transfer(address sender, address recipient, uint256 amount) internal override {
+        super._transfer(sender, recipient, amount.mul(INDEX_PRECISION).div(index));
+    }
+
+    function _mint(address account, uint256 amount) internal override {
+        super._mint(account, amount.mul(INDEX_PRECISION).div(index));
+    }
+}
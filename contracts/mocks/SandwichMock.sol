@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "../libraries/UniERC20.sol";
+import "../Mooniswap.sol";
+
+
+// Swaps and syncs virtual balances in the same block to cancel their protection
+contract SandwichMock {
+    using UniERC20 for IERC20;
+
+    function swapAndSync(Mooniswap pool, IERC20 src, IERC20 dst, uint256 amount) external {
+        src.uniTransferFromSenderToThis(amount);
+        src.uniApprove(address(pool), amount);
+        pool.swap(src, dst, amount, 0, address(0));
+        pool.sync();
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/drafts/ERC20Permit.sol";
+
+
+contract TokenWithPermitMock is ERC20Permit, Ownable {
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals
+    )
+        public
+        ERC20(name, symbol)
+        ERC20Permit(name)
+    {
+        _setupDecimals(decimals);
+    }
+
+    function mint(address account, uint256 amount) external onlyOwner {
+        _mint(account, amount);
+    }
+}
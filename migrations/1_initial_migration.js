@@ -1,9 +1,26 @@
 const Migrations = artifacts.require('./Migrations.sol');
+const CodeChunk = artifacts.require('CodeChunk');
 const MooniFactory = artifacts.require('./MooniFactory.sol');
-// const Mooniswap = artifacts.require('./Mooniswap.sol');
+const MooniswapStable = artifacts.require('./MooniswapStable.sol');
+const MooniswapPool = artifacts.require('MooniswapPool');
+const MooniswapStablePool = artifacts.require('MooniswapStablePool');
+const PoolDeployer = artifacts.require('./PoolDeployer.sol');
+const StableSwap = artifacts.require('./StableSwap.sol');
 
-module.exports = function (deployer) {
-    deployer.deploy(Migrations);
-    deployer.deploy(MooniFactory);
-    // deployer.deploy(Mooniswap);
+// Pool creation code exceeds contract size limit, so it is split into two chunks
+async function deployPoolDeployer (bytecode) {
+    const code = bytecode.slice(2);
+    const half = Math.ceil(code.length / 4) * 2;
+    const head = await CodeChunk.new('0x' + code.slice(0, half));
+    const tail = await CodeChunk.new('0x' + code.slice(half));
+    return PoolDeployer.new(head.address, tail.address);
+}
+
+module.exports = async function (deployer) {
+    await deployer.deploy(Migrations);
+    await deployer.deploy(StableSwap);
+    await deployer.link(StableSwap, [MooniswapStable, MooniswapStablePool]);
+    const poolDeployer = await deployPoolDeployer(MooniswapPool.binary);
+    const stablePoolDeployer = await deployPoolDeployer(MooniswapStablePool.binary);
+    await deployer.deploy(MooniFactory, poolDeployer.address, stablePoolDeployer.address);
 };
@@ -0,0 +1,36 @@
+const { keccak256, toChecksumAddress } = require('web3-utils');
+
+function strip (hex) {
+    return hex.toLowerCase().replace(/^0x/, '');
+}
+
+// Same order as MooniFactory.sortTokenList, addresses compare as numbers
+function sortTokens (tokens) {
+    return tokens.map(strip).sort().map(token => '0x' + token);
+}
+
+// Address of contract created by deployer with CREATE2
+function getCreate2Address (deployer, salt, initCodeHash) {
+    const hash = keccak256('0xff' + strip(deployer) + strip(salt) + strip(initCodeHash));
+    return toChecksumAddress('0x' + hash.slice(-40));
+}
+
+// Salt of pair pools is keccak256(abi.encodePacked(token1, token2)), tokens are 20 bytes each.
+// Use factory.poolInitCodeHash() for regular pools and factory.stablePoolInitCodeHash() for stable ones.
+function getPoolAddress (factory, tokenA, tokenB, initCodeHash) {
+    const salt = keccak256('0x' + sortTokens([tokenA, tokenB]).map(strip).join(''));
+    return getCreate2Address(factory, salt, initCodeHash);
+}
+
+// Salt of baskets is keccak256(abi.encodePacked(sortedTokens)), array items are padded to 32 bytes
+function getBasketAddress (factory, tokens, initCodeHash) {
+    const salt = keccak256('0x' + sortTokens(tokens).map(token => strip(token).padStart(64, '0')).join(''));
+    return getCreate2Address(factory, salt, initCodeHash);
+}
+
+module.exports = {
+    sortTokens,
+    getCreate2Address,
+    getPoolAddress,
+    getBasketAddress,
+};
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+// Usage: mooniswap-indexer --factory <address> [--rpc <url>] [--store <file>] [--from <time>] [--to <time>] [--format json|csv] [--out <file>]
+// Time is unix timestamp in seconds or any date string Date.parse accepts.
+// Store file keeps indexed events, so the next run fetches only new blocks.
+
+const fs = require('fs');
+const Web3 = require('web3');
+const { createStore, indexFactory, getReport, toCsv } = require('../indexer');
+
+function parseArgs (argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function parseTime (value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000;
+    if (isNaN(time)) {
+        throw new Error(`Wrong time ${value}`);
+    }
+    return Math.floor(time);
+}
+
+async function main () {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.factory) {
+        throw new Error('--factory is required');
+    }
+    const web3 = new Web3(args.rpc || 'http://localhost:8545');
+    const storePath = args.store || 'mooniswap-index.json';
+    const format = args.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+        throw new Error(`Wrong format ${format}`);
+    }
+
+    let store = fs.existsSync(storePath) ? JSON.parse(fs.readFileSync(storePath)) : createStore(args.factory);
+    if (store.factory.toLowerCase() !== args.factory.toLowerCase()) {
+        throw new Error(`Store ${storePath} is for factory ${store.factory}`);
+    }
+    store = await indexFactory(web3, store);
+    fs.writeFileSync(storePath, JSON.stringify(store));
+
+    const reports = await getReport(web3, store, { from: parseTime(args.from), to: parseTime(args.to) });
+    const output = (format === 'csv') ? toCsv(reports) : JSON.stringify(reports, null, 2) + '\n';
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
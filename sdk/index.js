@@ -0,0 +1,7 @@
+module.exports = Object.assign(
+    {},
+    require('./math'),
+    require('./state'),
+    require('./indexer'),
+    require('./address'),
+);
@@ -0,0 +1,308 @@
+// Indexes factory pools events into a plain JSON store and computes pool analytics from it
+
+const BN = require('bn.js');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const FEE_DENOMINATOR = new BN('1000000000000000000');
+const UINT128_MASK = new BN(1).shln(128).subn(1);
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const DEPLOY_EVENTS = ['Deployed', 'BasketDeployed', 'StableDeployed'];
+const INDEXED_EVENTS = ['Transfer', 'Deposited', 'Withdrawn', 'Swapped'];
+
+const FACTORY_EVENTS_ABI = [
+    { type: 'function', name: 'getAllPools', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'address[]' }] },
+    ...DEPLOY_EVENTS.map(name => ({
+        type: 'event',
+        name,
+        anonymous: false,
+        inputs: [{ name: 'mooniswap', type: 'address', indexed: true }].concat(
+            name === 'BasketDeployed'
+                ? [{ name: 'tokens', type: 'address[]', indexed: false }]
+                : [{ name: 'token1', type: 'address', indexed: true }, { name: 'token2', type: 'address', indexed: true }],
+            name === 'StableDeployed' ? [{ name: 'amplification', type: 'uint256', indexed: false }] : [],
+        ),
+    })),
+];
+
+const POOL_EVENTS_ABI = [
+    { name: 'getTokens', inputs: [], outputs: [{ name: '', type: 'address[]' }] },
+    { name: 'fee', inputs: [], outputs: [{ name: '', type: 'uint256' }] },
+    { name: 'totalSupply', inputs: [], outputs: [{ name: '', type: 'uint256' }] },
+    { name: 'reserves', inputs: [{ name: 'token', type: 'address' }], outputs: [{ name: '', type: 'uint256' }] },
+    {
+        name: 'volumes',
+        inputs: [{ name: 'token', type: 'address' }],
+        outputs: [{ name: 'confirmed', type: 'uint128' }, { name: 'result', type: 'uint128' }],
+    },
+].map(item => Object.assign({ type: 'function', stateMutability: 'view' }, item)).concat([
+    {
+        name: 'Transfer',
+        inputs: [
+            { name: 'from', type: 'address', indexed: true },
+            { name: 'to', type: 'address', indexed: true },
+            { name: 'value', type: 'uint256', indexed: false },
+        ],
+    },
+    ...['Deposited', 'Withdrawn'].map(name => ({
+        name,
+        inputs: [
+            { name: 'account', type: 'address', indexed: true },
+            { name: 'receiver', type: 'address', indexed: true },
+            { name: 'amount', type: 'uint256', indexed: false },
+            { name: 'amounts', type: 'uint256[]', indexed: false },
+        ],
+    })),
+    {
+        name: 'Swapped',
+        inputs: [
+            { name: 'account', type: 'address', indexed: true },
+            { name: 'src', type: 'address', indexed: true },
+            { name: 'dst', type: 'address', indexed: true },
+            { name: 'amount', type: 'uint256', indexed: false },
+            { name: 'result', type: 'uint256', indexed: false },
+            { name: 'srcBalance', type: 'uint256', indexed: false },
+            { name: 'dstBalance', type: 'uint256', indexed: false },
+            { name: 'totalSupply', type: 'uint256', indexed: false },
+            { name: 'referral', type: 'address', indexed: false },
+            { name: 'receiver', type: 'address', indexed: false },
+        ],
+    },
+].map(item => Object.assign({ type: 'event', anonymous: false }, item)));
+
+function createStore (factory) {
+    return { factory, lastBlock: -1, blocks: {}, pools: {} };
+}
+
+async function getTimestamp (web3, store, blockNumber) {
+    if (store.blocks[blockNumber] === undefined) {
+        store.blocks[blockNumber] = Number((await web3.eth.getBlock(blockNumber)).timestamp);
+    }
+    return store.blocks[blockNumber];
+}
+
+// Returns the last block mined not later than timestamp
+async function findBlock (web3, timestamp) {
+    let low = 0;
+    let high = await web3.eth.getBlockNumber();
+    if (Number((await web3.eth.getBlock(high)).timestamp) <= timestamp) {
+        return high;
+    }
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (Number((await web3.eth.getBlock(middle)).timestamp) <= timestamp) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+// Replays events of all factory pools from the last indexed block, store is updated in place and can be saved as JSON
+async function indexFactory (web3, store, toBlock = 'latest') {
+    const lastBlock = (toBlock === 'latest') ? await web3.eth.getBlockNumber() : toBlock;
+    const fromBlock = store.lastBlock + 1;
+    if (fromBlock > lastBlock) {
+        return store;
+    }
+
+    const factory = new web3.eth.Contract(FACTORY_EVENTS_ABI, store.factory);
+    const deployments = await factory.getPastEvents('allEvents', { fromBlock, toBlock: lastBlock });
+    for (const event of deployments.filter(event => DEPLOY_EVENTS.includes(event.event))) {
+        const address = event.returnValues.mooniswap;
+        store.pools[address] = {
+            address,
+            type: event.event,
+            createdBlock: event.blockNumber,
+            tokens: await new web3.eth.Contract(POOL_EVENTS_ABI, address).methods.getTokens().call({}, lastBlock),
+            events: [],
+        };
+    }
+
+    for (const address of await factory.methods.getAllPools().call({}, lastBlock)) {
+        const record = store.pools[address];
+        const pool = new web3.eth.Contract(POOL_EVENTS_ABI, address);
+        const events = await pool.getPastEvents('allEvents', { fromBlock: Math.max(fromBlock, record.createdBlock), toBlock: lastBlock });
+        for (const event of events) {
+            // Only mints are kept from transfers, they are deposits and fee shares
+            if (!INDEXED_EVENTS.includes(event.event) || (event.event === 'Transfer' && event.returnValues.from !== ZERO_ADDRESS)) {
+                continue;
+            }
+
+            const entry = {
+                event: event.event,
+                block: event.blockNumber,
+                timestamp: await getTimestamp(web3, store, event.blockNumber),
+                transaction: event.transactionHash,
+                logIndex: event.logIndex,
+            };
+            for (const key of Object.keys(event.returnValues).filter(key => isNaN(key))) {
+                entry[key] = event.returnValues[key];
+            }
+            if (event.event === 'Swapped') {
+                entry.fee = await pool.methods.fee().call({}, event.blockNumber);
+            }
+            record.events.push(entry);
+        }
+    }
+
+    store.lastBlock = lastBlock;
+    return store;
+}
+
+// Value of one share as geometric mean of reserves, its growth is LPs revenue not affected by deposits and withdrawals
+async function getShareValue (web3, pool, tokens, blockNumber) {
+    let logSum = 0;
+    const reserves = [];
+    for (const token of tokens) {
+        const reserve = await pool.methods.reserves(token).call({}, blockNumber);
+        reserves.push(reserve);
+        logSum += Math.log(Number(reserve));
+    }
+    const totalSupply = await pool.methods.totalSupply().call({}, blockNumber);
+    return { reserves, totalSupply, logValue: logSum / tokens.length - Math.log(Number(totalSupply)) };
+}
+
+// Pool analytics over [from, to] range of unix timestamps, both are optional
+async function getPoolReport (web3, store, address, { from, to } = {}) {
+    const record = store.pools[address];
+    const pool = new web3.eth.Contract(POOL_EVENTS_ABI, address);
+    const startBlock = Math.max(record.createdBlock, from === undefined ? 0 : await findBlock(web3, from));
+    const endBlock = Math.min(store.lastBlock, to === undefined ? store.lastBlock : await findBlock(web3, to));
+    const fromTime = await getTimestamp(web3, store, startBlock);
+    const toTime = await getTimestamp(web3, store, endBlock);
+
+    const tokens = {};
+    for (const token of record.tokens) {
+        tokens[token] = {
+            volumeIn: new BN(0),
+            volumeOut: new BN(0),
+            fees: new BN(0),
+            deposited: new BN(0),
+            withdrawn: new BN(0),
+            totalConfirmed: new BN(0),
+            totalResult: new BN(0),
+        };
+    }
+    const report = {
+        pool: address,
+        type: record.type,
+        fromBlock: startBlock,
+        toBlock: endBlock,
+        swaps: 0,
+        deposits: 0,
+        withdrawals: 0,
+        referralShares: {},
+        protocolShares: new BN(0),
+    };
+
+    let mints = [];
+    for (const event of record.events) {
+        const inRange = event.block > startBlock && event.block <= endBlock;
+        if (event.event === 'Transfer') {
+            mints.push(event);
+            continue;
+        }
+
+        if (event.event === 'Swapped') {
+            // Overflowing totals are compared with on-chain volumes counters
+            tokens[event.src].totalConfirmed = tokens[event.src].totalConfirmed.add(new BN(event.amount));
+            tokens[event.src].totalResult = tokens[event.src].totalResult.add(new BN(event.result));
+            if (inRange) {
+                report.swaps++;
+                tokens[event.src].volumeIn = tokens[event.src].volumeIn.add(new BN(event.amount));
+                tokens[event.dst].volumeOut = tokens[event.dst].volumeOut.add(new BN(event.result));
+                tokens[event.src].fees = tokens[event.src].fees.add(new BN(event.amount).mul(new BN(event.fee)).div(FEE_DENOMINATOR));
+
+                // Fee shares are minted right before Swapped is emitted
+                for (const mint of mints.filter(mint => mint.transaction === event.transaction)) {
+                    if (mint.to === event.referral) {
+                        report.referralShares[mint.to] = new BN(report.referralShares[mint.to] || 0).add(new BN(mint.value));
+                    } else {
+                        report.protocolShares = report.protocolShares.add(new BN(mint.value));
+                    }
+                }
+            }
+        }
+        if (inRange && (event.event === 'Deposited' || event.event === 'Withdrawn')) {
+            const key = (event.event === 'Deposited') ? 'deposited' : 'withdrawn';
+            record.tokens.forEach((token, i) => {
+                tokens[token][key] = tokens[token][key].add(new BN(event.amounts[i]));
+            });
+            report[(event.event === 'Deposited') ? 'deposits' : 'withdrawals']++;
+        }
+        mints = [];
+    }
+
+    // Share value is undefined before the first deposit
+    const firstDeposit = record.events.find(event => event.event === 'Deposited');
+    const valueBlock = Math.max(startBlock, firstDeposit ? firstDeposit.block : startBlock);
+    const start = await getShareValue(web3, pool, record.tokens, valueBlock);
+    const end = await getShareValue(web3, pool, record.tokens, endBlock);
+    const duration = toTime - await getTimestamp(web3, store, valueBlock);
+    report.fromTime = fromTime;
+    report.toTime = toTime;
+    report.apy = (duration > 0 && start.totalSupply !== '0')
+        ? Math.exp((end.logValue - start.logValue) * SECONDS_PER_YEAR / duration) - 1
+        : null;
+
+    report.tokens = [];
+    for (let i = 0; i < record.tokens.length; i++) {
+        const token = record.tokens[i];
+        const volumes = await pool.methods.volumes(token).call({}, store.lastBlock);
+        report.tokens.push({
+            token,
+            reserveStart: start.reserves[i],
+            reserveEnd: end.reserves[i],
+            volumeIn: tokens[token].volumeIn.toString(),
+            volumeOut: tokens[token].volumeOut.toString(),
+            fees: tokens[token].fees.toString(),
+            deposited: tokens[token].deposited.toString(),
+            withdrawn: tokens[token].withdrawn.toString(),
+            volumeCheck: tokens[token].totalConfirmed.and(UINT128_MASK).eq(new BN(volumes.confirmed)) &&
+                tokens[token].totalResult.and(UINT128_MASK).eq(new BN(volumes.result)),
+        });
+    }
+    for (const referral of Object.keys(report.referralShares)) {
+        report.referralShares[referral] = report.referralShares[referral].toString();
+    }
+    report.protocolShares = report.protocolShares.toString();
+    return report;
+}
+
+async function getReport (web3, store, range) {
+    const reports = [];
+    for (const address of Object.keys(store.pools)) {
+        reports.push(await getPoolReport(web3, store, address, range));
+    }
+    return reports;
+}
+
+const CSV_COLUMNS = [
+    'pool', 'type', 'fromTime', 'toTime', 'swaps', 'deposits', 'withdrawals', 'apy', 'protocolShares', 'referralShares',
+    'token', 'reserveStart', 'reserveEnd', 'volumeIn', 'volumeOut', 'fees', 'deposited', 'withdrawn', 'volumeCheck',
+];
+
+// One row per pool token, pool columns are repeated
+function toCsv (reports) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const report of reports) {
+        const referralShares = Object.values(report.referralShares).reduce((sum, value) => sum.add(new BN(value)), new BN(0));
+        for (const token of report.tokens) {
+            const row = Object.assign({}, report, token, { referralShares: referralShares.toString() });
+            rows.push(CSV_COLUMNS.map(column => row[column] === null ? '' : String(row[column])).join(','));
+        }
+    }
+    return rows.join('\n') + '\n';
+}
+
+module.exports = {
+    FACTORY_EVENTS_ABI,
+    POOL_EVENTS_ABI,
+    createStore,
+    findBlock,
+    indexFactory,
+    getPoolReport,
+    getReport,
+    toCsv,
+};
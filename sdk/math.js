@@ -0,0 +1,179 @@
+// Pool math of Mooniswap.sol on BN.js numbers, every division rounds down like in Solidity
+
+const BN = require('bn.js');
+
+const ZERO = new BN(0);
+const ONE = new BN(1);
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const FEE_DENOMINATOR = new BN('1000000000000000000');
+const REFERRAL_SHARE = new BN(20);
+const BASE_SUPPLY = new BN(1000);
+const INVARIANT_PRECISION = new BN('1000000000000000000000000000000000000'); // 1e36
+
+function toKey (token) {
+    return token.toLowerCase();
+}
+
+function hasToken (state, token) {
+    return state.tokens.some(t => toKey(t) === toKey(token));
+}
+
+// Same as Sqrt.sqrt
+function sqrt (y) {
+    if (y.gtn(3)) {
+        let z = y;
+        let x = y.divn(2).addn(1);
+        while (x.lt(z)) {
+            z = x;
+            x = y.div(x).add(x).divn(2);
+        }
+        return z;
+    }
+    return y.isZero() ? ZERO : ONE;
+}
+
+// Same as VirtualBalance.current
+function currentVirtualBalance (virtualBalance, decayPeriod, realBalance, timestamp) {
+    const period = new BN(decayPeriod);
+    const timePassed = BN.min(period, new BN(timestamp).sub(new BN(virtualBalance.time)));
+    const timeRemain = period.sub(timePassed);
+    return new BN(virtualBalance.balance).mul(timeRemain).add(realBalance.mul(timePassed)).div(period);
+}
+
+function getBalanceForAddition (state, src, dst, timestamp) {
+    const balance = state.reserves[toKey(src)];
+    const virtualBalance = state.virtualBalancesForAddition[toKey(src)][toKey(dst)];
+    return BN.max(currentVirtualBalance(virtualBalance, state.decayPeriod, balance, timestamp), balance);
+}
+
+function getBalanceForRemoval (state, src, dst, timestamp) {
+    const balance = state.reserves[toKey(dst)];
+    const virtualBalance = state.virtualBalancesForRemoval[toKey(src)][toKey(dst)];
+    return BN.min(currentVirtualBalance(virtualBalance, state.decayPeriod, balance, timestamp), balance);
+}
+
+// Same as Mooniswap._getReturn
+function calculateReturn (state, amount, srcBalance, dstBalance) {
+    amount = new BN(amount);
+    if (amount.isZero()) {
+        return ZERO;
+    }
+    const taxedAmount = amount.sub(amount.mul(state.fee).div(FEE_DENOMINATOR));
+    return taxedAmount.mul(dstBalance).div(srcBalance.add(taxedAmount));
+}
+
+// Same as Mooniswap.getReturn called in a block with the given timestamp
+function getReturn (state, src, dst, amount, timestamp) {
+    if (!hasToken(state, src) || !hasToken(state, dst) || toKey(src) === toKey(dst)) {
+        return ZERO;
+    }
+    return calculateReturn(
+        state,
+        amount,
+        getBalanceForAddition(state, src, dst, timestamp),
+        getBalanceForRemoval(state, src, dst, timestamp),
+    );
+}
+
+// Same as Mooniswap.getExpectedInput called in a block with the given timestamp
+function getExpectedInput (state, src, dst, result, timestamp) {
+    result = new BN(result);
+    if (!hasToken(state, src) || !hasToken(state, dst) || toKey(src) === toKey(dst) || result.isZero()) {
+        return ZERO;
+    }
+    const srcBalance = getBalanceForAddition(state, src, dst, timestamp);
+    const dstBalance = getBalanceForRemoval(state, src, dst, timestamp);
+    if (result.gte(dstBalance)) {
+        return ZERO;
+    }
+    const rest = dstBalance.sub(result);
+    const taxedAmount = result.mul(srcBalance).add(rest).subn(1).div(rest);
+    if (taxedAmount.isZero()) {
+        return ZERO;
+    }
+    return taxedAmount.subn(1).mul(FEE_DENOMINATOR).div(FEE_DENOMINATOR.sub(state.fee)).addn(1);
+}
+
+// Same as Mooniswap._getShareGrowth
+function getShareGrowth (state, srcBalance, dstBalance, amount, result) {
+    let invariantRatio = INVARIANT_PRECISION;
+    invariantRatio = invariantRatio.mul(srcBalance.add(amount)).div(srcBalance);
+    invariantRatio = invariantRatio.mul(dstBalance.sub(result)).div(dstBalance);
+    if (invariantRatio.lte(INVARIANT_PRECISION)) {
+        return ZERO;
+    }
+
+    if (state.tokens.length === 2) {
+        return sqrt(invariantRatio).sub(FEE_DENOMINATOR).mul(state.totalSupply).div(FEE_DENOMINATOR);
+    }
+    return invariantRatio.sub(INVARIANT_PRECISION).mul(state.totalSupply).div(invariantRatio).divn(state.tokens.length);
+}
+
+// Returns swap result and LP shares minted to referral and protocol fee receiver,
+// amount is expected to be fully received by the pool, so fee-on-transfer tokens are not supported
+function getSwapResult (state, src, dst, amount, referral, timestamp) {
+    amount = new BN(amount);
+    const srcBalance = state.reserves[toKey(src)];
+    const dstBalance = state.reserves[toKey(dst)];
+    const result = getReturn(state, src, dst, amount, timestamp);
+
+    let referralShare = ZERO;
+    let protocolShare = ZERO;
+    const hasReferral = referral && referral !== ZERO_ADDRESS;
+    const protocolFee = (state.feeReceiver !== ZERO_ADDRESS) ? state.protocolFee : ZERO;
+    if (hasReferral || !protocolFee.isZero()) {
+        const lpShare = getShareGrowth(state, srcBalance, dstBalance, amount, result);
+        if (hasReferral) {
+            referralShare = lpShare.div(REFERRAL_SHARE);
+        }
+        protocolShare = lpShare.mul(protocolFee).div(FEE_DENOMINATOR);
+    }
+
+    return { result, referralShare, protocolShare };
+}
+
+// Returns LP shares minted to depositor and token amounts taken by the pool, in order of state.tokens
+function getDepositResult (state, amounts) {
+    amounts = amounts.map(amount => new BN(amount));
+    const totalSupply = state.totalSupply;
+    const reserves = state.tokens.map(token => state.reserves[toKey(token)]);
+
+    if (totalSupply.isZero()) {
+        // BASE_SUPPLY is donated to the pool itself
+        const shares = amounts.reduce((max, amount) => BN.max(max, amount), BASE_SUPPLY.muln(99));
+        return { shares, amounts };
+    }
+
+    let shares = amounts.reduce(
+        (min, amount, i) => BN.min(min, totalSupply.mul(amount).div(reserves[i])),
+        totalSupply.mul(amounts[0]).div(reserves[0]),
+    );
+    const fairSupply = shares;
+    const taken = reserves.map(reserve => reserve.mul(fairSupply).add(totalSupply).sub(ONE).div(totalSupply));
+    for (let i = 0; i < taken.length; i++) {
+        shares = BN.min(shares, totalSupply.mul(taken[i]).div(reserves[i]));
+    }
+    return { shares, amounts: taken };
+}
+
+// Returns token amounts sent to LP for burnt shares, in order of state.tokens
+function getWithdrawResult (state, shares) {
+    shares = new BN(shares);
+    return state.tokens.map(token => state.reserves[toKey(token)].mul(shares).div(state.totalSupply));
+}
+
+module.exports = {
+    FEE_DENOMINATOR,
+    REFERRAL_SHARE,
+    BASE_SUPPLY,
+    sqrt,
+    currentVirtualBalance,
+    getBalanceForAddition,
+    getBalanceForRemoval,
+    getReturn,
+    getExpectedInput,
+    getShareGrowth,
+    getSwapResult,
+    getDepositResult,
+    getWithdrawResult,
+};
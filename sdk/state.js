@@ -0,0 +1,72 @@
+const BN = require('bn.js');
+
+// Only functions read by the SDK
+const MOONISWAP_ABI = [
+    { name: 'factory', inputs: [], outputs: [{ name: '', type: 'address' }] },
+    { name: 'getTokens', inputs: [], outputs: [{ name: '', type: 'address[]' }] },
+    { name: 'fee', inputs: [], outputs: [{ name: '', type: 'uint256' }] },
+    { name: 'decayPeriod', inputs: [], outputs: [{ name: '', type: 'uint256' }] },
+    { name: 'totalSupply', inputs: [], outputs: [{ name: '', type: 'uint256' }] },
+    { name: 'reserves', inputs: [{ name: 'token', type: 'address' }], outputs: [{ name: '', type: 'uint256' }] },
+    {
+        name: 'virtualBalancesForAddition',
+        inputs: [{ name: 'src', type: 'address' }, { name: 'dst', type: 'address' }],
+        outputs: [{ name: 'balance', type: 'uint216' }, { name: 'time', type: 'uint40' }],
+    },
+    {
+        name: 'virtualBalancesForRemoval',
+        inputs: [{ name: 'src', type: 'address' }, { name: 'dst', type: 'address' }],
+        outputs: [{ name: 'balance', type: 'uint216' }, { name: 'time', type: 'uint40' }],
+    },
+].map(item => Object.assign({ type: 'function', stateMutability: 'view' }, item));
+
+const FACTORY_ABI = [
+    { name: 'feeReceiver', inputs: [], outputs: [{ name: '', type: 'address' }] },
+    { name: 'protocolFee', inputs: [], outputs: [{ name: '', type: 'uint256' }] },
+].map(item => Object.assign({ type: 'function', stateMutability: 'view' }, item));
+
+// Reads everything pool math depends on at the given block, so all values are consistent.
+// Token addresses are lowercased in reserves and virtual balances keys.
+async function fetchPoolState (web3, address, blockNumber = 'latest') {
+    const block = await web3.eth.getBlock(blockNumber);
+    const call = (contract, method, ...args) => contract.methods[method](...args).call({}, block.number);
+
+    const pool = new web3.eth.Contract(MOONISWAP_ABI, address);
+    const factory = new web3.eth.Contract(FACTORY_ABI, await call(pool, 'factory'));
+    const tokens = await call(pool, 'getTokens');
+
+    const state = {
+        address,
+        blockNumber: block.number,
+        timestamp: Number(block.timestamp),
+        tokens,
+        fee: new BN(await call(pool, 'fee')),
+        decayPeriod: new BN(await call(pool, 'decayPeriod')),
+        totalSupply: new BN(await call(pool, 'totalSupply')),
+        feeReceiver: await call(factory, 'feeReceiver'),
+        protocolFee: new BN(await call(factory, 'protocolFee')),
+        reserves: {},
+        virtualBalancesForAddition: {},
+        virtualBalancesForRemoval: {},
+    };
+
+    for (const src of tokens) {
+        state.reserves[src.toLowerCase()] = new BN(await call(pool, 'reserves', src));
+        state.virtualBalancesForAddition[src.toLowerCase()] = {};
+        state.virtualBalancesForRemoval[src.toLowerCase()] = {};
+        for (const dst of tokens.filter(token => token !== src)) {
+            for (const method of ['virtualBalancesForAddition', 'virtualBalancesForRemoval']) {
+                const { balance, time } = await call(pool, method, src, dst);
+                state[method][src.toLowerCase()][dst.toLowerCase()] = { balance: new BN(balance), time: new BN(time) };
+            }
+        }
+    }
+
+    return state;
+}
+
+module.exports = {
+    MOONISWAP_ABI,
+    FACTORY_ABI,
+    fetchPoolState,
+};
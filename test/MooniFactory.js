@@ -1,17 +1,34 @@
-const { expectRevert } = require('@openzeppelin/test-helpers');
+const { constants, time, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
+const { money, deployFactory, useFixedGas, domainSeparator } = require('./helpers/utils');
+const sdk = require('../sdk');
 
 const Mooniswap = artifacts.require('Mooniswap');
-const MooniFactory = artifacts.require('MooniFactory');
 const TokenWithBytes32SymbolMock = artifacts.require('TokenWithBytes32SymbolMock');
 const TokenWithStringSymbolMock = artifacts.require('TokenWithStringSymbolMock');
 const TokenWithBytes32CAPSSymbolMock = artifacts.require('TokenWithBytes32CAPSSymbolMock');
 const TokenWithStringCAPSSymbolMock = artifacts.require('TokenWithStringCAPSSymbolMock');
 const TokenWithNoSymbolMock = artifacts.require('TokenWithNoSymbolMock');
+const Token = artifacts.require('TokenMock');
 
-contract('MooniFactory', function ([_, wallet1, wallet2]) {
+// Average of votes weighted by shares, shares without vote count for default value
+async function votedValue (pool, votes, defaultValue) {
+    const totalSupply = await pool.totalSupply();
+    let weightedSum = money.zero;
+    let votedSupply = money.zero;
+    for (const [account, value] of votes) {
+        const balance = await pool.balanceOf(account);
+        weightedSum = weightedSum.add(balance.mul(web3.utils.toBN(value)));
+        votedSupply = votedSupply.add(balance);
+    }
+    return weightedSum.add(totalSupply.sub(votedSupply).mul(web3.utils.toBN(defaultValue))).div(totalSupply);
+}
+
+useFixedGas(Mooniswap);
+
+contract('MooniFactory', function ([_, wallet1, wallet2, wallet3]) {
     beforeEach(async function () {
-        this.factory = await MooniFactory.new();
+        this.factory = await deployFactory();
     });
 
     describe('Symbol', async function () {
@@ -132,4 +149,538 @@ contract('MooniFactory', function ([_, wallet1, wallet2]) {
             );
         });
     });
+
+    describe('Baskets', async function () {
+        beforeEach(async function () {
+            this.tokens = [];
+            for (const symbol of ['ABC', 'XYZ', 'QWE']) {
+                this.tokens.push(await TokenWithStringSymbolMock.new(symbol));
+            }
+            this.sorted = [...this.tokens].sort((a, b) => a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1);
+        });
+
+        it('should deploy pool with sorted tokens', async function () {
+            await this.factory.deployBasket(this.tokens.map(t => t.address));
+
+            const pool = await Mooniswap.at(await this.factory.getBasket(this.tokens.map(t => t.address).reverse()));
+            expect(await pool.getTokens()).to.be.deep.equal(this.sorted.map(t => t.address));
+            expect(await this.factory.isPool(pool.address)).to.be.equal(true);
+
+            const symbols = [];
+            for (const token of this.sorted) {
+                symbols.push(await token.symbol());
+            }
+            expect(await pool.symbol()).to.be.equal('MOON-V1-' + symbols.join('-'));
+            expect(await pool.name()).to.be.equal('Mooniswap V1 (' + symbols.join('-') + ')');
+        });
+
+        it('should do not allow twice pool creation even reordered', async function () {
+            await this.factory.deployBasket(this.tokens.map(t => t.address));
+            await expectRevert(
+                this.factory.deployBasket(this.tokens.map(t => t.address).reverse()),
+                'Factory: pool already exists',
+            );
+        });
+
+        it('should do not work for same tokens', async function () {
+            await expectRevert(
+                this.factory.deployBasket([this.tokens[0].address, this.tokens[1].address, this.tokens[0].address]),
+                'Factory: not support same tokens',
+            );
+        });
+
+        it('should do not work for 2 tokens', async function () {
+            await expectRevert(
+                this.factory.deployBasket([this.tokens[0].address, this.tokens[1].address]),
+                'Factory: use deploy for 2 tokens',
+            );
+        });
+
+        it('should do not work for more than 8 tokens', async function () {
+            for (let i = 0; i < 6; i++) {
+                this.tokens.push(await TokenWithStringSymbolMock.new('TKN'));
+            }
+            await expectRevert(
+                this.factory.deployBasket(this.tokens.map(t => t.address)),
+                'Mooniswap: 2-8 tokens allowed',
+            );
+        });
+    });
+
+    describe('Pool address', async function () {
+        beforeEach(async function () {
+            this.DAI = await Token.new('DAI', 'DAI', 18);
+            this.WETH = await Token.new('WETH', 'WETH', 18);
+            this.USDC = await Token.new('USDC', 'USDC', 6);
+        });
+
+        async function expectPoolAddress (factory, tokenA, tokenB) {
+            const predicted = sdk.getPoolAddress(factory.address, tokenA, tokenB, await factory.poolInitCodeHash());
+            expect(await factory.getPoolAddress(tokenA, tokenB)).to.be.equal(predicted);
+            expect(await factory.getPoolAddress(tokenB, tokenA)).to.be.equal(predicted);
+
+            const { logs } = await factory.deploy(tokenA, tokenB);
+            expect(logs.find(log => log.event === 'Deployed').args.mooniswap).to.be.equal(predicted);
+            expect(await factory.pools(tokenB, tokenA)).to.be.equal(predicted);
+        }
+
+        it('should predict token pair pool address', async function () {
+            await expectPoolAddress(this.factory, this.DAI.address, this.WETH.address);
+            await expectPoolAddress(this.factory, this.USDC.address, this.DAI.address);
+        });
+
+        it('should predict ETH pair pool address', async function () {
+            await expectPoolAddress(this.factory, constants.ZERO_ADDRESS, this.DAI.address);
+            await expectPoolAddress(this.factory, this.WETH.address, constants.ZERO_ADDRESS);
+        });
+
+        it('should predict basket address', async function () {
+            const tokens = [this.WETH.address, constants.ZERO_ADDRESS, this.DAI.address];
+            const predicted = sdk.getBasketAddress(this.factory.address, tokens, await this.factory.poolInitCodeHash());
+            expect(await this.factory.getBasketAddress([...tokens].reverse())).to.be.equal(predicted);
+
+            await this.factory.deployBasket(tokens);
+            expect(await this.factory.getBasket(tokens)).to.be.equal(predicted);
+        });
+
+        it('should predict stable pool address', async function () {
+            const predicted = sdk.getPoolAddress(this.factory.address, this.USDC.address, this.DAI.address, await this.factory.stablePoolInitCodeHash());
+            expect(await this.factory.getStablePoolAddress(this.DAI.address, this.USDC.address)).to.be.equal(predicted);
+            expect(predicted).to.be.not.equal(await this.factory.getPoolAddress(this.DAI.address, this.USDC.address));
+
+            await this.factory.deployStable(this.USDC.address, this.DAI.address, 100);
+            expect(await this.factory.stablePools(this.DAI.address, this.USDC.address)).to.be.equal(predicted);
+        });
+
+        it('should not depend on deployer contract', async function () {
+            const other = await deployFactory();
+            expect(await other.poolInitCodeHash()).to.be.equal(await this.factory.poolInitCodeHash());
+            expect(await other.getPoolAddress(this.DAI.address, this.WETH.address))
+                .to.be.equal(sdk.getPoolAddress(other.address, this.DAI.address, this.WETH.address, await this.factory.poolInitCodeHash()));
+        });
+
+        it('should clear deploy args after deploy', async function () {
+            await this.factory.deploy(this.DAI.address, this.WETH.address);
+            expect(await this.factory.deployArgs()).to.be.equal(null);
+        });
+    });
+
+    describe('Permit', async function () {
+        it('should use pool name in domain separator', async function () {
+            const token1 = await TokenWithStringSymbolMock.new('ABC');
+            const token2 = await TokenWithStringSymbolMock.new('XYZ');
+            await this.factory.deploy(token1.address, token2.address);
+
+            const pool = await Mooniswap.at(await this.factory.pools(token1.address, token2.address));
+            const name = (token1.address.toLowerCase() < token2.address.toLowerCase()) ? 'Mooniswap V1 (ABC-XYZ)' : 'Mooniswap V1 (XYZ-ABC)';
+            expect(await pool.DOMAIN_SEPARATOR()).to.be.equal(await domainSeparator(name, '1', pool.address));
+        });
+    });
+
+    describe('Pool fee', async function () {
+        beforeEach(async function () {
+            const token1 = await TokenWithStringSymbolMock.new('ABC');
+            const token2 = await TokenWithStringSymbolMock.new('XYZ');
+            const token3 = await TokenWithStringSymbolMock.new('QWE');
+            await this.factory.deploy(token1.address, token2.address);
+            await this.factory.deploy(token1.address, token3.address);
+            this.stablePool = await Mooniswap.at(await this.factory.pools(token1.address, token2.address));
+            this.exoticPool = await Mooniswap.at(await this.factory.pools(token1.address, token3.address));
+
+            await this.factory.setFee(web3.utils.toWei('0.002'));
+        });
+
+        it('should follow global fee without override', async function () {
+            expect(await this.stablePool.fee()).to.be.bignumber.equal(web3.utils.toWei('0.002'));
+            const receipt = await this.factory.setFee(web3.utils.toWei('0.003'));
+            expectEvent(receipt, 'FeeUpdated', { fee: web3.utils.toWei('0.003') });
+            expect(await this.stablePool.fee()).to.be.bignumber.equal(web3.utils.toWei('0.003'));
+        });
+
+        it('should use override for the pool only', async function () {
+            await this.factory.setPoolFee(this.stablePool.address, web3.utils.toWei('0.0005'));
+            await this.factory.setFee(web3.utils.toWei('0.003'));
+            expect(await this.stablePool.fee()).to.be.bignumber.equal(web3.utils.toWei('0.0005'));
+            expect(await this.exoticPool.fee()).to.be.bignumber.equal(web3.utils.toWei('0.003'));
+        });
+
+        it('should allow zero fee override', async function () {
+            await this.factory.setPoolFee(this.stablePool.address, '0');
+            expect(await this.stablePool.fee()).to.be.bignumber.equal('0');
+        });
+
+        it('should follow global fee after reset', async function () {
+            await this.factory.setPoolFee(this.stablePool.address, web3.utils.toWei('0.0005'));
+            await this.factory.resetPoolFee(this.stablePool.address);
+            expect(await this.stablePool.fee()).to.be.bignumber.equal(web3.utils.toWei('0.002'));
+        });
+
+        it('should be denied above max fee', async function () {
+            await expectRevert(
+                this.factory.setPoolFee(this.exoticPool.address, web3.utils.toWei('0.003000000000000001')),
+                'Factory: fee should be <= 0.3%',
+            );
+        });
+
+        it('should be denied for unknown pool', async function () {
+            await expectRevert(
+                this.factory.setPoolFee(wallet1, web3.utils.toWei('0.001')),
+                'Factory: pool does not exist',
+            );
+        });
+
+        it('should be denied for non-owner', async function () {
+            await expectRevert(
+                this.factory.setPoolFee(this.stablePool.address, web3.utils.toWei('0.001'), { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+
+            await expectRevert(
+                this.factory.resetPoolFee(this.stablePool.address, { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+        });
+    });
+
+    describe('Protocol fee', async function () {
+        it('should set protocol fee and fee receiver', async function () {
+            await this.factory.setProtocolFee(web3.utils.toWei('0.5'));
+            await this.factory.setFeeReceiver(wallet2);
+            expect(await this.factory.protocolFee()).to.be.bignumber.equal(web3.utils.toWei('0.5'));
+            expect(await this.factory.feeReceiver()).to.be.equal(wallet2);
+        });
+
+        it('should be denied above max protocol fee', async function () {
+            await expectRevert(
+                this.factory.setProtocolFee(web3.utils.toWei('0.500000000000000001')),
+                'Factory: protocol fee is > 50%',
+            );
+        });
+
+        it('should be denied for non-owner', async function () {
+            await expectRevert(
+                this.factory.setProtocolFee(web3.utils.toWei('0.1'), { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+
+            await expectRevert(
+                this.factory.setFeeReceiver(wallet1, { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+        });
+    });
+
+    describe('Decay period', async function () {
+        beforeEach(async function () {
+            this.token1 = await TokenWithStringSymbolMock.new('ABC');
+            this.token2 = await TokenWithStringSymbolMock.new('XYZ');
+        });
+
+        it('should use 5 minutes by default', async function () {
+            expect(await this.factory.decayPeriod()).to.be.bignumber.equal('300');
+            await this.factory.deploy(this.token1.address, this.token2.address);
+            const pool = await Mooniswap.at(await this.factory.pools(this.token1.address, this.token2.address));
+            expect(await pool.decayPeriod()).to.be.bignumber.equal('300');
+        });
+
+        it('should apply default to pools without votes', async function () {
+            await this.factory.deploy(this.token1.address, this.token2.address);
+            const pool = await Mooniswap.at(await this.factory.pools(this.token1.address, this.token2.address));
+            await this.factory.setDecayPeriod('600');
+            expect(await this.factory.poolDecayPeriod(pool.address)).to.be.bignumber.equal('600');
+        });
+
+        it('should be denied out of bounds', async function () {
+            await expectRevert(
+                this.factory.setDecayPeriod('59'),
+                'Factory: decay period invalid',
+            );
+            await expectRevert(
+                this.factory.setDecayPeriod('3601'),
+                'Factory: decay period invalid',
+            );
+        });
+
+        it('should be denied for non-owner', async function () {
+            await expectRevert(
+                this.factory.setDecayPeriod('600', { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+        });
+    });
+
+    describe('Pause', async function () {
+        beforeEach(async function () {
+            this.DAI = await Token.new('DAI', 'DAI', 18);
+            this.WETH = await Token.new('WETH', 'WETH', 18);
+            await this.factory.deploy(this.DAI.address, this.WETH.address);
+            this.pool = await Mooniswap.at(await this.factory.pools(this.DAI.address, this.WETH.address));
+            this.amounts = (await this.pool.getTokens())[0] === this.DAI.address
+                ? (dai, weth) => [dai, weth]
+                : (dai, weth) => [weth, dai];
+
+            for (const wallet of [wallet1, wallet2]) {
+                await this.DAI.mint(wallet, money.dai('1000'));
+                await this.WETH.mint(wallet, money.weth('10'));
+                await this.DAI.approve(this.pool.address, money.dai('1000'), { from: wallet });
+                await this.WETH.approve(this.pool.address, money.weth('10'), { from: wallet });
+            }
+            await this.pool.deposit(this.amounts(money.dai('270'), money.weth('1')), [money.zero, money.zero], { from: wallet1 });
+            await time.increase(await this.pool.decayPeriod());
+
+            const { logs } = await this.factory.setGuardian(wallet3);
+            expectEvent.inLogs(logs, 'GuardianUpdated', { guardian: wallet3 });
+        });
+
+        it('should be denied for non-guardian', async function () {
+            await expectRevert(
+                this.factory.pause(this.pool.address, time.duration.days(1), { from: wallet1 }),
+                'Factory: caller is not guardian',
+            );
+            await expectRevert(
+                this.factory.pauseAll(time.duration.days(1), { from: wallet1 }),
+                'Factory: caller is not guardian',
+            );
+            await expectRevert(
+                this.factory.setGuardian(wallet1, { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+            // Owner keeps the guardian rights
+            await this.factory.pause(this.pool.address, time.duration.days(1));
+            expect(await this.factory.isPaused(this.pool.address)).to.be.equal(true);
+        });
+
+        it('should be denied with invalid duration', async function () {
+            await expectRevert(
+                this.factory.pause(this.pool.address, 0, { from: wallet3 }),
+                'Factory: pause duration invalid',
+            );
+            await expectRevert(
+                this.factory.pauseAll((await this.factory.MAX_PAUSE_DURATION()).addn(1), { from: wallet3 }),
+                'Factory: pause duration invalid',
+            );
+            await expectRevert(
+                this.factory.pause(wallet1, time.duration.days(1), { from: wallet3 }),
+                'Factory: pool does not exist',
+            );
+        });
+
+        it('should deny swaps and deposits but allow withdrawals', async function () {
+            const receipt = await this.factory.pause(this.pool.address, time.duration.days(1), { from: wallet3 });
+            expectEvent(receipt, 'Paused', {
+                pool: this.pool.address,
+                until: (await time.latest()).add(time.duration.days(1)),
+            });
+
+            await expectRevert(
+                this.pool.swap(this.WETH.address, this.DAI.address, money.weth('0.1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 }),
+                'Mooniswap: paused',
+            );
+            await expectRevert(
+                this.pool.swapForExact(this.WETH.address, this.DAI.address, money.dai('1'), money.weth('1'), constants.ZERO_ADDRESS, { from: wallet2 }),
+                'Mooniswap: paused',
+            );
+            await expectRevert(
+                this.pool.deposit(this.amounts(money.dai('270'), money.weth('1')), [money.zero, money.zero], { from: wallet2 }),
+                'Mooniswap: paused',
+            );
+
+            const totalSupply = await this.pool.totalSupply();
+            const shares = (await this.pool.balanceOf(wallet1)).divn(3);
+            await this.pool.withdraw(shares, [], { from: wallet1 });
+            expect(await this.DAI.balanceOf(wallet1)).to.be.bignumber.equal(money.dai('730').add(money.dai('270').mul(shares).div(totalSupply)));
+            expect(await this.WETH.balanceOf(wallet1)).to.be.bignumber.equal(money.weth('9').add(money.weth('1').mul(shares).div(totalSupply)));
+
+            const { logs } = await this.factory.unpause(this.pool.address, { from: wallet3 });
+            expectEvent.inLogs(logs, 'Unpaused', { pool: this.pool.address });
+            await this.pool.swap(this.WETH.address, this.DAI.address, money.weth('0.1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+        });
+
+        it('should pause all pools', async function () {
+            await this.factory.deploy(this.DAI.address, constants.ZERO_ADDRESS);
+            const other = await this.factory.pools(this.DAI.address, constants.ZERO_ADDRESS);
+
+            const { logs } = await this.factory.pauseAll(time.duration.days(1), { from: wallet3 });
+            expectEvent.inLogs(logs, 'Paused', { pool: constants.ZERO_ADDRESS });
+            expect(await this.factory.isPaused(this.pool.address)).to.be.equal(true);
+            expect(await this.factory.isPaused(other)).to.be.equal(true);
+
+            await this.factory.pause(this.pool.address, time.duration.days(2), { from: wallet3 });
+            const receipt = await this.factory.unpauseAll({ from: wallet3 });
+            expectEvent(receipt, 'Unpaused', { pool: constants.ZERO_ADDRESS });
+            expect(await this.factory.isPaused(this.pool.address)).to.be.equal(true);
+            expect(await this.factory.isPaused(other)).to.be.equal(false);
+        });
+
+        it('should expire unless renewed', async function () {
+            await this.factory.pause(this.pool.address, time.duration.hours(1), { from: wallet3 });
+            await time.increase(time.duration.minutes(30));
+            await this.factory.pause(this.pool.address, time.duration.hours(1), { from: wallet3 });
+            await time.increase(time.duration.minutes(45));
+            expect(await this.factory.isPaused(this.pool.address)).to.be.equal(true);
+
+            await time.increase(time.duration.minutes(20));
+            expect(await this.factory.isPaused(this.pool.address)).to.be.equal(false);
+            await this.pool.swap(this.WETH.address, this.DAI.address, money.weth('0.1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+        });
+
+        it('should resume virtual balances after unpause', async function () {
+            await this.pool.swap(this.WETH.address, this.DAI.address, money.weth('0.5'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+            await this.factory.pause(this.pool.address, time.duration.hours(1), { from: wallet3 });
+
+            // Withdrawal during pause scales virtual balances as usual
+            let state = await sdk.fetchPoolState(web3, this.pool.address);
+            const shares = (await this.pool.balanceOf(wallet1)).divn(2);
+            const expected = sdk.getWithdrawResult(state, shares);
+            const daiBalance = await this.DAI.balanceOf(wallet1);
+            await this.pool.withdraw(shares, [], { from: wallet1 });
+            const daiIndex = state.tokens.findIndex(token => token === this.DAI.address);
+            expect(await this.DAI.balanceOf(wallet1)).to.be.bignumber.equal(daiBalance.add(expected[daiIndex]));
+
+            // Virtual balances decay during pause, swap after unpause is priced by them
+            state = await sdk.fetchPoolState(web3, this.pool.address);
+            await time.increase(100);
+            await this.factory.unpause(this.pool.address, { from: wallet3 });
+            expect(await this.pool.getBalanceForAddition(this.DAI.address, this.WETH.address))
+                .to.be.bignumber.gt(await this.pool.reserves(this.DAI.address));
+
+            const receipt = await this.pool.swap(this.DAI.address, this.WETH.address, money.dai('10'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+            const { timestamp } = await web3.eth.getBlock(receipt.receipt.blockNumber);
+            const { result } = receipt.logs.find(log => log.event === 'Swapped').args;
+            expect(result).to.be.bignumber.equal(sdk.getReturn(state, this.DAI.address, this.WETH.address, money.dai('10'), timestamp));
+        });
+    });
+
+    describe('Voting', async function () {
+        beforeEach(async function () {
+            this.DAI = await Token.new('DAI', 'DAI', 18);
+            this.WETH = await Token.new('WETH', 'WETH', 18);
+            await this.factory.setFee(money.weth('0.002'));
+            await this.factory.deploy(this.DAI.address, this.WETH.address);
+            this.pool = await Mooniswap.at(await this.factory.pools(this.DAI.address, this.WETH.address));
+            this.amounts = (await this.pool.tokens(0)) === this.DAI.address ? [money.dai('270'), money.weth('1')] : [money.weth('1'), money.dai('270')];
+
+            for (const wallet of [wallet1, wallet2]) {
+                await this.DAI.mint(wallet, money.dai('540'));
+                await this.WETH.mint(wallet, money.weth('2'));
+                await this.DAI.approve(this.pool.address, money.dai('540'), { from: wallet });
+                await this.WETH.approve(this.pool.address, money.weth('2'), { from: wallet });
+            }
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet1 });
+            await this.factory.voteFee(this.pool.address, money.weth('0.003'), { from: wallet1 });
+        });
+
+        it('should weight votes by shares', async function () {
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet2 });
+            await this.factory.voteFee(this.pool.address, money.weth('0.001'), { from: wallet2 });
+
+            const expected = await votedValue(this.pool, [[wallet1, money.weth('0.003')], [wallet2, money.weth('0.001')]], money.weth('0.002'));
+            expect(expected).to.be.bignumber.gt(money.weth('0.0019999'));
+            expect(expected).to.be.bignumber.lt(money.weth('0.002'));
+            expect(await this.pool.fee()).to.be.bignumber.equal(expected);
+            expect(await this.factory.poolFee(this.pool.address)).to.be.bignumber.equal(expected);
+        });
+
+        it('should count shares without vote for default', async function () {
+            const expected = await votedValue(this.pool, [[wallet1, money.weth('0.003')]], money.weth('0.002'));
+            expect(expected).to.be.bignumber.gt(money.weth('0.0029999'));
+            expect(await this.pool.fee()).to.be.bignumber.equal(expected);
+
+            await this.factory.setPoolFee(this.pool.address, money.weth('0.001'));
+            expect(await this.pool.fee()).to.be.bignumber.equal(
+                await votedValue(this.pool, [[wallet1, money.weth('0.003')]], money.weth('0.001')),
+            );
+        });
+
+        it('should carry votes over on transfer', async function () {
+            await this.factory.voteFee(this.pool.address, money.weth('0.001'), { from: wallet2 });
+            await this.pool.transfer(wallet2, money.dai('90'), { from: wallet1 });
+            const expected = await votedValue(this.pool, [[wallet1, money.weth('0.003')], [wallet2, money.weth('0.001')]], money.weth('0.002'));
+            expect(expected).to.be.bignumber.gt(money.weth('0.0023333'));
+            expect(expected).to.be.bignumber.lt(money.weth('0.0023334'));
+            expect(await this.pool.fee()).to.be.bignumber.equal(expected);
+
+            await this.pool.transfer(wallet3, money.dai('90'), { from: wallet2 });
+            expect(await this.pool.fee()).to.be.bignumber.equal(
+                await votedValue(this.pool, [[wallet1, money.weth('0.003')]], money.weth('0.002')),
+            );
+        });
+
+        it('should carry votes over on deposit', async function () {
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet2 });
+            const expected = await votedValue(this.pool, [[wallet1, money.weth('0.003')]], money.weth('0.002'));
+            expect(expected).to.be.bignumber.gt(money.weth('0.0024999'));
+            expect(await this.pool.fee()).to.be.bignumber.equal(expected);
+
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet1 });
+            expect(await this.pool.fee()).to.be.bignumber.equal(
+                await votedValue(this.pool, [[wallet1, money.weth('0.003')]], money.weth('0.002')),
+            );
+        });
+
+        it('should carry votes over on withdraw', async function () {
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet2 });
+            await this.pool.withdraw(money.dai('180'), [], { from: wallet1 });
+            const expected = await votedValue(this.pool, [[wallet1, money.weth('0.003')]], money.weth('0.002'));
+            expect(expected).to.be.bignumber.gt(money.weth('0.0022499'));
+            expect(await this.pool.fee()).to.be.bignumber.equal(expected);
+
+            await this.pool.withdraw(money.dai('90'), [], { from: wallet1 });
+            expect(await this.pool.fee()).to.be.bignumber.equal(money.weth('0.002'));
+        });
+
+        it('should keep vote of account without shares', async function () {
+            await this.factory.voteFee(this.pool.address, money.weth('0.001'), { from: wallet2 });
+            expect(await this.pool.fee()).to.be.bignumber.equal(
+                await votedValue(this.pool, [[wallet1, money.weth('0.003')]], money.weth('0.002')),
+            );
+
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet2 });
+            const vote = await this.factory.getFeeVote(this.pool.address, wallet2);
+            expect(vote.voted).to.be.true;
+            expect(vote.value).to.be.bignumber.equal(money.weth('0.001'));
+            expect(await this.pool.fee()).to.be.bignumber.equal(
+                await votedValue(this.pool, [[wallet1, money.weth('0.003')], [wallet2, money.weth('0.001')]], money.weth('0.002')),
+            );
+        });
+
+        it('should discard vote', async function () {
+            await this.factory.discardFeeVote(this.pool.address, { from: wallet1 });
+            expect((await this.factory.getFeeVote(this.pool.address, wallet1)).voted).to.be.false;
+            expect(await this.pool.fee()).to.be.bignumber.equal(money.weth('0.002'));
+        });
+
+        it('should apply decay period on next action', async function () {
+            await this.factory.voteDecayPeriod(this.pool.address, '600', { from: wallet1 });
+            const expected = await votedValue(this.pool, [[wallet1, '600']], '300');
+            expect(await this.factory.poolDecayPeriod(this.pool.address)).to.be.bignumber.equal(expected);
+            expect(await this.pool.decayPeriod()).to.be.bignumber.equal('300');
+
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet2 });
+            expect(await this.pool.decayPeriod()).to.be.bignumber.equal(expected);
+            expect(await this.factory.poolDecayPeriod(this.pool.address)).to.be.bignumber.lt(expected);
+        });
+
+        it('should be denied out of bounds', async function () {
+            await expectRevert(
+                this.factory.voteFee(this.pool.address, money.weth('0.0031'), { from: wallet1 }),
+                'Factory: fee should be <= 0.3%',
+            );
+            await expectRevert(
+                this.factory.voteDecayPeriod(this.pool.address, '59', { from: wallet1 }),
+                'Factory: decay period invalid',
+            );
+            await expectRevert(
+                this.factory.voteDecayPeriod(this.pool.address, '3601', { from: wallet1 }),
+                'Factory: decay period invalid',
+            );
+        });
+
+        it('should be denied for unknown pool', async function () {
+            await expectRevert(
+                this.factory.voteFee(constants.ZERO_ADDRESS, money.weth('0.001'), { from: wallet1 }),
+                'Factory: pool does not exist',
+            );
+        });
+    });
 });
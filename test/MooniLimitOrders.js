@@ -0,0 +1,198 @@
+const { constants, time, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, deployFactory, useFixedGas, trackReceivedToken, timeIncreaseTo } = require('./helpers/utils');
+
+const Mooniswap = artifacts.require('Mooniswap');
+const MooniLimitOrders = artifacts.require('MooniLimitOrders');
+const Token = artifacts.require('TokenMock');
+
+async function deployPool (factory, tokenA, amountA, tokenB, amountB, from) {
+    const addressA = tokenA === constants.ZERO_ADDRESS ? tokenA : tokenA.address;
+    const addressB = tokenB === constants.ZERO_ADDRESS ? tokenB : tokenB.address;
+    await factory.deploy(addressA, addressB);
+    const pool = await Mooniswap.at(await factory.pools(addressA, addressB));
+
+    let value = money.zero;
+    for (const [token, amount] of [[tokenA, amountA], [tokenB, amountB]]) {
+        if (token === constants.ZERO_ADDRESS) {
+            value = amount;
+        } else {
+            await token.mint(from, amount);
+            await token.approve(pool.address, amount, { from });
+        }
+    }
+
+    const amounts = (await pool.getTokens())[0] === addressA ? [amountA, amountB] : [amountB, amountA];
+    await pool.deposit(amounts, [money.zero, money.zero], { value, from });
+    return pool;
+}
+
+useFixedGas(Mooniswap, MooniLimitOrders);
+
+contract('MooniLimitOrders', function ([_, wallet1, maker, keeper, trader]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.WETH = await Token.new('WETH', 'WETH', 18);
+
+        this.factory = await deployFactory();
+        this.orders = await MooniLimitOrders.new(this.factory.address);
+        this.pool = await deployPool(this.factory, this.DAI, money.dai('270'), this.WETH, money.weth('1'), wallet1);
+        await timeIncreaseTo((await time.latest()).add(await this.pool.decayPeriod()));
+
+        await this.DAI.mint(maker, money.dai('28'));
+        await this.DAI.approve(this.orders.address, money.dai('28'), { from: maker });
+        // Sell 27 DAI for at least 0.1 WETH, while pool gives about 0.09 WETH
+        this.receipt = await this.orders.placeOrder(
+            this.pool.address,
+            this.DAI.address,
+            this.WETH.address,
+            money.dai('27'),
+            money.weth('0.1'),
+            money.dai('1'),
+            { from: maker },
+        );
+    });
+
+    // Trader buys 90 DAI for 0.5 WETH, so after decay 27 DAI gives about 0.196 WETH
+    async function movePrice (test) {
+        await test.WETH.mint(trader, money.weth('0.5'));
+        await test.WETH.approve(test.pool.address, money.weth('0.5'), { from: trader });
+        await test.pool.swap(test.WETH.address, test.DAI.address, money.weth('0.5'), money.zero, constants.ZERO_ADDRESS, { from: trader });
+        await timeIncreaseTo((await time.latest()).add(await test.pool.decayPeriod()));
+    }
+
+    describe('Placing', async function () {
+        it('should escrow amount and tip', async function () {
+            expectEvent(this.receipt, 'OrderPlaced', {
+                orderId: '0',
+                maker,
+                pool: this.pool.address,
+                src: this.DAI.address,
+                dst: this.WETH.address,
+                amount: money.dai('27'),
+                minReturn: money.weth('0.1'),
+                tip: money.dai('1'),
+            });
+            expect(await this.DAI.balanceOf(this.orders.address)).to.be.bignumber.equal(money.dai('28'));
+            expect(await this.orders.getOrdersCount()).to.be.bignumber.equal('1');
+
+            const order = await this.orders.orders(0);
+            expect(order.maker).to.be.equal(maker);
+            expect(order.amount).to.be.bignumber.equal(money.dai('27'));
+            expect(order.minReturn).to.be.bignumber.equal(money.weth('0.1'));
+            expect(order.tip).to.be.bignumber.equal(money.dai('1'));
+        });
+
+        it('should be denied for pools not from factory', async function () {
+            await expectRevert(
+                this.orders.placeOrder(this.DAI.address, this.DAI.address, this.WETH.address, money.dai('27'), money.weth('0.1'), money.zero, { from: maker }),
+                'Orders: pool does not exist',
+            );
+        });
+
+        it('should be denied for tokens not in pool', async function () {
+            await expectRevert(
+                this.orders.placeOrder(this.pool.address, this.DAI.address, constants.ZERO_ADDRESS, money.dai('27'), money.weth('0.1'), money.zero, { from: maker }),
+                'Orders: token is not in pool',
+            );
+        });
+    });
+
+    describe('Filling', async function () {
+        it('should not fill before price is reached', async function () {
+            expect(await this.orders.canFill(0, money.dai('27'))).to.be.equal(false);
+            await expectRevert(
+                this.orders.fillOrder(0, money.dai('27'), { from: keeper }),
+                'Orders: price not reached',
+            );
+        });
+
+        it('should fill when price is reached', async function () {
+            await movePrice(this);
+            expect(await this.orders.canFill(0, money.dai('27'))).to.be.equal(true);
+            const expected = await this.pool.getReturn(this.DAI.address, this.WETH.address, money.dai('27'));
+
+            const received = await trackReceivedToken(this.WETH, maker, () => this.orders.fillOrder(0, money.dai('27'), { from: keeper }));
+            expect(received).to.be.bignumber.equal(expected);
+            expect(received).to.be.bignumber.gt(money.weth('0.1'));
+            expect(await this.DAI.balanceOf(keeper)).to.be.bignumber.equal(money.dai('1'));
+            expect(await this.DAI.balanceOf(this.orders.address)).to.be.bignumber.equal(money.zero);
+
+            const order = await this.orders.orders(0);
+            expect(order.amount).to.be.bignumber.equal(money.zero);
+            expect(order.minReturn).to.be.bignumber.equal(money.zero);
+            expect(order.tip).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should fill partially', async function () {
+            await movePrice(this);
+            expect(await this.orders.getFillMinReturn(0, money.dai('9'))).to.be.bignumber.equal(money.weth('0.1').divn(3).addn(1));
+
+            const receipt = await this.orders.fillOrder(0, money.dai('9'), { from: keeper });
+            expectEvent(receipt, 'OrderFilled', {
+                orderId: '0',
+                keeper,
+                amount: money.dai('9'),
+                tip: money.dai('1').divn(3),
+            });
+            const order = await this.orders.orders(0);
+            expect(order.amount).to.be.bignumber.equal(money.dai('18'));
+
+            await this.orders.fillOrder(0, money.dai('18'), { from: keeper });
+            expect(await this.DAI.balanceOf(keeper)).to.be.bignumber.equal(money.dai('1'));
+            expect(await this.WETH.balanceOf(maker)).to.be.bignumber.gt(money.weth('0.1'));
+        });
+
+        it('should be denied to fill more than left', async function () {
+            await movePrice(this);
+            await expectRevert(
+                this.orders.fillOrder(0, money.dai('28'), { from: keeper }),
+                'Orders: wrong fill amount',
+            );
+        });
+
+        it('should support ETH orders', async function () {
+            const pool = await deployPool(this.factory, constants.ZERO_ADDRESS, money.eth('1'), this.DAI, money.dai('270'), wallet1);
+            await timeIncreaseTo((await time.latest()).add(await pool.decayPeriod()));
+            await this.orders.placeOrder(
+                pool.address,
+                constants.ZERO_ADDRESS,
+                this.DAI.address,
+                money.eth('0.1'),
+                money.dai('20'),
+                money.eth('0.01'),
+                { value: money.eth('0.11'), from: maker },
+            );
+            const expected = await pool.getReturn(constants.ZERO_ADDRESS, this.DAI.address, money.eth('0.1'));
+
+            const tip = await trackReceivedToken(constants.ZERO_ADDRESS, keeper, () => this.orders.fillOrder(1, money.eth('0.1'), { from: keeper }));
+            expect(tip).to.be.bignumber.equal(money.eth('0.01'));
+            expect(await this.DAI.balanceOf(maker)).to.be.bignumber.equal(expected);
+        });
+    });
+
+    describe('Cancelling', async function () {
+        it('should refund amount and tip left', async function () {
+            const receipt = await this.orders.cancelOrder(0, { from: maker });
+            expectEvent(receipt, 'OrderCancelled', {
+                orderId: '0',
+                amount: money.dai('27'),
+                tip: money.dai('1'),
+            });
+            expect(await this.DAI.balanceOf(maker)).to.be.bignumber.equal(money.dai('28'));
+
+            await movePrice(this);
+            await expectRevert(
+                this.orders.fillOrder(0, money.dai('27'), { from: keeper }),
+                'Orders: wrong fill amount',
+            );
+        });
+
+        it('should be denied for others', async function () {
+            await expectRevert(
+                this.orders.cancelOrder(0, { from: keeper }),
+                'Orders: access denied',
+            );
+        });
+    });
+});
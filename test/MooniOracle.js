@@ -0,0 +1,106 @@
+const { constants, time, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, useFixedGas } = require('./helpers/utils');
+
+const Mooniswap = artifacts.require('MooniswapMock');
+const MooniOracle = artifacts.require('MooniOracle');
+const Token = artifacts.require('TokenMock');
+
+useFixedGas(Mooniswap);
+
+contract('MooniOracle', function ([_, wallet1, wallet2]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.WETH = await Token.new('WETH', 'WETH', 18);
+        this.mooniswap = await Mooniswap.new([this.WETH.address, this.DAI.address], 'Mooniswap', 'MOON');
+        this.oracle = await MooniOracle.new();
+
+        await this.WETH.mint(wallet1, money.weth('1'));
+        await this.DAI.mint(wallet1, money.dai('270'));
+        await this.WETH.mint(wallet2, money.weth('1'));
+        await this.WETH.approve(this.mooniswap.address, money.weth('1'), { from: wallet1 });
+        await this.DAI.approve(this.mooniswap.address, money.dai('270'), { from: wallet1 });
+        await this.WETH.approve(this.mooniswap.address, money.weth('1'), { from: wallet2 });
+        await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+    });
+
+    it('should not consult without observations', async function () {
+        await expectRevert(
+            this.oracle.consult(this.mooniswap.address, this.WETH.address, this.DAI.address, time.duration.minutes(5)),
+            'Oracle: window is not covered',
+        );
+    });
+
+    it('should not consult zero window', async function () {
+        await expectRevert(
+            this.oracle.consult(this.mooniswap.address, this.WETH.address, this.DAI.address, 0),
+            'Oracle: window is zero',
+        );
+    });
+
+    it('should not consult window longer than observed', async function () {
+        await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        await time.increase(time.duration.minutes(10));
+        await expectRevert(
+            this.oracle.consult(this.mooniswap.address, this.WETH.address, this.DAI.address, time.duration.hours(1)),
+            'Oracle: window is not covered',
+        );
+    });
+
+    it('should record observation not more often than interval', async function () {
+        const receipt = await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        expectEvent(receipt, 'Observed', { pool: this.mooniswap.address, src: this.WETH.address, dst: this.DAI.address });
+
+        const receipt2 = await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        expectEvent.notEmitted(receipt2, 'Observed');
+
+        await time.increase(await this.oracle.MIN_OBSERVATION_INTERVAL());
+        const receipt3 = await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        expectEvent(receipt3, 'Observed');
+    });
+
+    it('should return spot price for unchanged pool', async function () {
+        await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        await this.oracle.update(this.mooniswap.address, this.DAI.address, this.WETH.address);
+        await time.increase(time.duration.minutes(10));
+
+        expect(await this.oracle.consult(this.mooniswap.address, this.WETH.address, this.DAI.address, time.duration.minutes(5)))
+            .to.be.bignumber.equal(money.dai('270'));
+        expect(await this.oracle.consult(this.mooniswap.address, this.DAI.address, this.WETH.address, time.duration.minutes(5)))
+            .to.be.bignumber.equal(money.weth('1').mul(money.weth('1')).div(money.dai('270')));
+    });
+
+    it('should average price over window', async function () {
+        await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        await time.increase(time.duration.minutes(10));
+
+        // Spot price drops from 270 to 67.5 DAI per WETH
+        await this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+        await time.increase(time.duration.minutes(10));
+
+        const price = await this.oracle.consult(this.mooniswap.address, this.WETH.address, this.DAI.address, time.duration.minutes(15));
+        expect(price).to.be.bignumber.lt(money.dai('270'));
+        expect(price).to.be.bignumber.gt(money.dai('67.5'));
+    });
+
+    it('should keep limited number of observations', async function () {
+        const limit = (await this.oracle.OBSERVATIONS_LIMIT()).toNumber();
+        const interval = await this.oracle.MIN_OBSERVATION_INTERVAL();
+        await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        const [first] = Object.values(await this.oracle.getObservation(this.mooniswap.address, this.WETH.address, this.DAI.address, 0));
+
+        for (let i = 0; i < limit; i++) {
+            await time.increase(interval);
+            await this.oracle.update(this.mooniswap.address, this.WETH.address, this.DAI.address);
+        }
+
+        const [overwritten] = Object.values(await this.oracle.getObservation(this.mooniswap.address, this.WETH.address, this.DAI.address, 0));
+        expect(overwritten).to.be.bignumber.gt(first);
+        await expectRevert(
+            this.oracle.consult(this.mooniswap.address, this.WETH.address, this.DAI.address, interval.muln(limit)),
+            'Oracle: window is not covered',
+        );
+        expect(await this.oracle.consult(this.mooniswap.address, this.WETH.address, this.DAI.address, interval.muln(limit - 1)))
+            .to.be.bignumber.equal(money.dai('270'));
+    });
+});
@@ -0,0 +1,183 @@
+const { constants, time, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, deployFactory, useFixedGas, trackReceivedToken, timeIncreaseTo } = require('./helpers/utils');
+
+const Mooniswap = artifacts.require('Mooniswap');
+const MooniRewards = artifacts.require('MooniRewards');
+const Token = artifacts.require('TokenMock');
+
+function expectAbout (actual, expected) {
+    // Reward rate is rounded down and a couple of seconds pass between transactions
+    expect(actual).to.be.bignumber.gt(expected.muln(99).divn(100));
+    expect(actual).to.be.bignumber.lt(expected.muln(101).divn(100));
+}
+
+useFixedGas(Mooniswap, MooniRewards);
+
+contract('MooniRewards', function ([_, wallet1, wallet2, wallet3, distributor]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.WETH = await Token.new('WETH', 'WETH', 18);
+        this.INCH = await Token.new('1INCH', '1INCH', 18);
+
+        this.factory = await deployFactory();
+        await this.factory.deploy(this.WETH.address, this.DAI.address);
+        this.pool = await Mooniswap.at(await this.factory.pools(this.WETH.address, this.DAI.address));
+        this.amounts = (await this.pool.tokens(0)) === this.DAI.address ? [money.dai('270'), money.weth('1')] : [money.weth('1'), money.dai('270')];
+
+        for (const wallet of [wallet1, wallet2]) {
+            await this.DAI.mint(wallet, money.dai('270'));
+            await this.WETH.mint(wallet, money.weth('1'));
+            await this.DAI.approve(this.pool.address, money.dai('270'), { from: wallet });
+            await this.WETH.approve(this.pool.address, money.weth('1'), { from: wallet });
+        }
+        await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet1 });
+
+        this.rewards = await MooniRewards.new(this.pool.address);
+        await this.factory.setPoolRewards(this.pool.address, this.rewards.address);
+        await this.rewards.addReward(this.INCH.address, distributor);
+
+        await this.INCH.mint(distributor, money.dai('2000'));
+        await this.INCH.approve(this.rewards.address, money.dai('2000'), { from: distributor });
+    });
+
+    describe('Distribution', async function () {
+        it('should accrue rewards on plain LP balance', async function () {
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: distributor });
+            await timeIncreaseTo((await time.latest()).add(time.duration.days(5)));
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet1), money.dai('500'));
+        });
+
+        it('should split rewards pro-rata after deposit', async function () {
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: distributor });
+            const started = await time.latest();
+            await timeIncreaseTo(started.add(time.duration.days(4)));
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet2 });
+            await timeIncreaseTo(started.add(time.duration.days(10)));
+
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet1), money.dai('700'));
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet2), money.dai('300'));
+        });
+
+        it('should follow shares on transfer', async function () {
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: distributor });
+            const started = await time.latest();
+            await timeIncreaseTo(started.add(time.duration.days(5)));
+            await this.pool.transfer(wallet3, await this.pool.balanceOf(wallet1), { from: wallet1 });
+            await timeIncreaseTo(started.add(time.duration.days(10)));
+
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet1), money.dai('500'));
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet3), money.dai('500'));
+        });
+
+        it('should stop accrual after withdraw', async function () {
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: distributor });
+            const started = await time.latest();
+            await this.pool.deposit(this.amounts, [money.zero, money.zero], { from: wallet2 });
+            await timeIncreaseTo(started.add(time.duration.days(5)));
+            await this.pool.withdraw(await this.pool.balanceOf(wallet2), [], { from: wallet2 });
+            await timeIncreaseTo(started.add(time.duration.days(10)));
+
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet1), money.dai('750'));
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet2), money.dai('250'));
+        });
+
+        it('should extend period with rewards left', async function () {
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: distributor });
+            const started = await time.latest();
+            await timeIncreaseTo(started.add(time.duration.days(5)));
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('500'), time.duration.days(10), { from: distributor });
+            const extended = await time.latest();
+            expect((await this.rewards.rewards(this.INCH.address)).periodFinish).to.be.bignumber.equal(extended.add(time.duration.days(10)));
+
+            await timeIncreaseTo(extended.add(time.duration.days(20)));
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet1), money.dai('1500'));
+        });
+
+        it('should distribute several reward tokens', async function () {
+            const CRV = await Token.new('CRV', 'CRV', 18);
+            await this.rewards.addReward(CRV.address, wallet3);
+            await CRV.mint(wallet3, money.dai('100'));
+            await CRV.approve(this.rewards.address, money.dai('100'), { from: wallet3 });
+
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: distributor });
+            await this.rewards.notifyRewardAmount(CRV.address, money.dai('100'), time.duration.days(10), { from: wallet3 });
+            await timeIncreaseTo((await time.latest()).add(time.duration.days(10)));
+
+            expectAbout(await this.rewards.earned(this.INCH.address, wallet1), money.dai('1000'));
+            expectAbout(await this.rewards.earned(CRV.address, wallet1), money.dai('100'));
+            expect(await this.rewards.getRewardTokens()).to.have.members([this.INCH.address, CRV.address]);
+        });
+    });
+
+    describe('Claim', async function () {
+        beforeEach(async function () {
+            await this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: distributor });
+            await timeIncreaseTo((await time.latest()).add(time.duration.days(10)));
+        });
+
+        it('should pay rewards', async function () {
+            const received = await trackReceivedToken(this.INCH, wallet1, () => this.rewards.claim({ from: wallet1 }));
+            expectAbout(received, money.dai('1000'));
+            expect(await this.rewards.earned(this.INCH.address, wallet1)).to.be.bignumber.equal(money.zero);
+
+            const again = await trackReceivedToken(this.INCH, wallet1, () => this.rewards.claim({ from: wallet1 }));
+            expect(again).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should withdraw liquidity and pay rewards on exit', async function () {
+            await this.pool.approve(this.rewards.address, await this.pool.balanceOf(wallet1), { from: wallet1 });
+            const received = await trackReceivedToken(this.INCH, wallet1, () => this.rewards.exit([], { from: wallet1 }));
+            expectAbout(received, money.dai('1000'));
+
+            expect(await this.pool.balanceOf(wallet1)).to.be.bignumber.equal(money.zero);
+            expect(await this.pool.balanceOf(this.rewards.address)).to.be.bignumber.equal(money.zero);
+            expect(await this.DAI.balanceOf(wallet1)).to.be.bignumber.gt(money.dai('269'));
+            expect(await this.WETH.balanceOf(wallet1)).to.be.bignumber.gt(money.weth('0.99'));
+        });
+    });
+
+    describe('Access', async function () {
+        it('should be denied to notify for non-distributor', async function () {
+            await expectRevert(
+                this.rewards.notifyRewardAmount(this.INCH.address, money.dai('1000'), time.duration.days(10), { from: wallet1 }),
+                'Rewards: access denied',
+            );
+        });
+
+        it('should be denied to add reward for non-owner', async function () {
+            await expectRevert(
+                this.rewards.addReward(this.DAI.address, distributor, { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+        });
+
+        it('should be denied to add reward twice', async function () {
+            await expectRevert(
+                this.rewards.addReward(this.INCH.address, wallet1),
+                'Rewards: token already added',
+            );
+        });
+
+        it('should be denied to replace pool rewards', async function () {
+            const other = await MooniRewards.new(this.pool.address);
+            await expectRevert(
+                this.factory.setPoolRewards(this.pool.address, other.address),
+                'Factory: rewards already set',
+            );
+        });
+
+        it('should be denied to set rewards of other pool', async function () {
+            await this.factory.deploy(this.INCH.address, this.DAI.address);
+            const pool = await this.factory.pools(this.INCH.address, this.DAI.address);
+            await expectRevert(
+                this.factory.setPoolRewards(pool, this.rewards.address),
+                'Factory: rewards of other pool',
+            );
+            await expectRevert(
+                this.factory.setPoolRewards(constants.ZERO_ADDRESS, this.rewards.address),
+                'Factory: pool does not exist',
+            );
+        });
+    });
+});
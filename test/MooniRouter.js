@@ -0,0 +1,193 @@
+const { constants, time, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, deployFactory, useFixedGas, trackReceivedToken, signPermit } = require('./helpers/utils');
+
+const Mooniswap = artifacts.require('Mooniswap');
+const MooniRouter = artifacts.require('MooniRouter');
+const Token = artifacts.require('TokenMock');
+const TokenWithPermit = artifacts.require('TokenWithPermitMock');
+
+async function deployPool (factory, tokenA, amountA, tokenB, amountB, from) {
+    const addressA = tokenA === constants.ZERO_ADDRESS ? tokenA : tokenA.address;
+    const addressB = tokenB === constants.ZERO_ADDRESS ? tokenB : tokenB.address;
+    await factory.deploy(addressA, addressB);
+    const pool = await Mooniswap.at(await factory.pools(addressA, addressB));
+
+    let value = money.zero;
+    for (const [token, amount] of [[tokenA, amountA], [tokenB, amountB]]) {
+        if (token === constants.ZERO_ADDRESS) {
+            value = amount;
+        } else {
+            await token.mint(from, amount);
+            await token.approve(pool.address, amount, { from });
+        }
+    }
+
+    const amounts = (await pool.getTokens())[0] === addressA ? [amountA, amountB] : [amountB, amountA];
+    await pool.deposit(amounts, [money.zero, money.zero], { value, from });
+    return pool;
+}
+
+useFixedGas(Mooniswap, MooniRouter);
+
+contract('MooniRouter', function ([_, wallet1, wallet2]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.WETH = await Token.new('WETH', 'WETH', 18);
+        this.USDC = await Token.new('USDC', 'USDC', 6);
+
+        this.factory = await deployFactory();
+        this.router = await MooniRouter.new(this.factory.address);
+
+        this.daiWeth = await deployPool(this.factory, this.DAI, money.dai('270'), this.WETH, money.weth('1'), wallet1);
+        this.wethUsdc = await deployPool(this.factory, this.WETH, money.weth('1'), this.USDC, money.usdc('300'), wallet1);
+        this.ethDai = await deployPool(this.factory, constants.ZERO_ADDRESS, money.eth('1'), this.DAI, money.dai('270'), wallet1);
+
+        this.deadline = (await time.latest()).add(time.duration.minutes(10));
+        await this.DAI.mint(wallet2, money.dai('270'));
+        await this.DAI.approve(this.router.address, money.dai('270'), { from: wallet2 });
+    });
+
+    describe('Quotes', async function () {
+        it('should quote multi-hop path', async function () {
+            const path = [this.DAI.address, this.WETH.address, this.USDC.address];
+            expect(await this.router.getReturnForPath(path, money.dai('270'))).to.be.bignumber.equal(money.usdc('100'));
+        });
+
+        it('should match single pool quote for single hop', async function () {
+            const path = [this.DAI.address, this.WETH.address];
+            const expected = await this.daiWeth.getReturn(this.DAI.address, this.WETH.address, money.dai('270'));
+            expect(await this.router.getReturnForPath(path, money.dai('270'))).to.be.bignumber.equal(expected);
+        });
+
+        it('should be denied for short path', async function () {
+            await expectRevert(
+                this.router.getReturnForPath([this.DAI.address], money.dai('270')),
+                'Router: path is too short',
+            );
+        });
+
+        it('should be denied for missing pool', async function () {
+            await expectRevert(
+                this.router.getReturnForPath([this.DAI.address, this.USDC.address], money.dai('270')),
+                'Router: pool does not exist',
+            );
+        });
+    });
+
+    describe('Swaps', async function () {
+        it('should swap through multiple pools as quoted', async function () {
+            const path = [this.DAI.address, this.WETH.address, this.USDC.address];
+            const quote = await this.router.getReturnForPath(path, money.dai('270'));
+
+            const received = await trackReceivedToken(
+                this.USDC,
+                wallet2,
+                () => this.router.swap(path, money.dai('270'), quote, constants.ZERO_ADDRESS, this.deadline, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(money.usdc('100'));
+            expect(await this.DAI.balanceOf(this.router.address)).to.be.bignumber.equal(money.zero);
+            expect(await this.WETH.balanceOf(this.router.address)).to.be.bignumber.equal(money.zero);
+            expect(await this.USDC.balanceOf(this.router.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should swap from ETH', async function () {
+            const path = [constants.ZERO_ADDRESS, this.DAI.address, this.WETH.address];
+            const quote = await this.router.getReturnForPath(path, money.eth('1'));
+
+            const received = await trackReceivedToken(
+                this.WETH,
+                wallet2,
+                () => this.router.swap(path, money.eth('1'), quote, constants.ZERO_ADDRESS, this.deadline, { value: money.eth('1'), from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(quote);
+            expect(await web3.eth.getBalance(this.router.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should swap to ETH', async function () {
+            const path = [this.WETH.address, this.DAI.address, constants.ZERO_ADDRESS];
+            const quote = await this.router.getReturnForPath(path, money.weth('1'));
+            await this.WETH.mint(wallet2, money.weth('1'));
+            await this.WETH.approve(this.router.address, money.weth('1'), { from: wallet2 });
+
+            const received = await trackReceivedToken(
+                constants.ZERO_ADDRESS,
+                wallet2,
+                () => this.router.swap(path, money.weth('1'), quote, constants.ZERO_ADDRESS, this.deadline, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(quote);
+            expect(await web3.eth.getBalance(this.router.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should forward referral to every pool', async function () {
+            await this.factory.setFee(money.weth('0.003'));
+            const path = [this.DAI.address, this.WETH.address, this.USDC.address];
+
+            await this.router.swap(path, money.dai('270'), money.zero, wallet1, this.deadline, { from: wallet2 });
+            expect(await this.daiWeth.balanceOf(wallet1)).to.be.bignumber.gt(money.dai('270'));
+            expect(await this.wethUsdc.balanceOf(wallet1)).to.be.bignumber.gt(money.weth('1'));
+        });
+
+        it('should check end-to-end minReturn', async function () {
+            const path = [this.DAI.address, this.WETH.address, this.USDC.address];
+            await expectRevert(
+                this.router.swap(path, money.dai('270'), money.usdc('100').addn(1), constants.ZERO_ADDRESS, this.deadline, { from: wallet2 }),
+                'Router: return is not enough',
+            );
+        });
+
+        it('should be denied after deadline', async function () {
+            const path = [this.DAI.address, this.WETH.address, this.USDC.address];
+            await expectRevert(
+                this.router.swap(path, money.dai('270'), money.zero, constants.ZERO_ADDRESS, (await time.latest()).subn(1), { from: wallet2 }),
+                'Router: deadline expired',
+            );
+        });
+
+        it('should be denied for wrong value usage', async function () {
+            const path = [this.DAI.address, this.WETH.address];
+            await expectRevert(
+                this.router.swap(path, money.dai('270'), money.zero, constants.ZERO_ADDRESS, this.deadline, { value: 1, from: wallet2 }),
+                'Router: wrong value usage',
+            );
+        });
+
+        it('should be denied for missing pool', async function () {
+            const path = [this.DAI.address, this.USDC.address];
+            await expectRevert(
+                this.router.swap(path, money.dai('270'), money.zero, constants.ZERO_ADDRESS, this.deadline, { from: wallet2 }),
+                'Router: pool does not exist',
+            );
+        });
+    });
+
+    describe('Permit', async function () {
+        beforeEach(async function () {
+            this.PDAI = await TokenWithPermit.new('PDAI', 'PDAI', 18);
+            this.pdaiWeth = await deployPool(this.factory, this.PDAI, money.dai('270'), this.WETH, money.weth('1'), wallet1);
+            await this.PDAI.mint(wallet2, money.dai('270'));
+        });
+
+        it('should swap without approve', async function () {
+            const path = [this.PDAI.address, this.WETH.address, this.USDC.address];
+            const { v, r, s } = await signPermit(this.PDAI, wallet2, this.router.address, money.dai('270'), this.deadline);
+
+            const received = await trackReceivedToken(
+                this.USDC,
+                wallet2,
+                () => this.router.swapWithPermit(path, money.dai('270'), money.zero, constants.ZERO_ADDRESS, this.deadline, v, r, s, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(money.usdc('100'));
+            expect(await this.PDAI.allowance(wallet2, this.router.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should be denied for signature of another amount', async function () {
+            const path = [this.PDAI.address, this.WETH.address];
+            const { v, r, s } = await signPermit(this.PDAI, wallet2, this.router.address, money.dai('1'), this.deadline);
+            await expectRevert(
+                this.router.swapWithPermit(path, money.dai('270'), money.zero, constants.ZERO_ADDRESS, this.deadline, v, r, s, { from: wallet2 }),
+                'ERC20Permit: invalid signature',
+            );
+        });
+    });
+});
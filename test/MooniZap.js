@@ -0,0 +1,206 @@
+const { constants, time, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, deployFactory, useFixedGas, trackReceivedToken, signPermit } = require('./helpers/utils');
+
+const Mooniswap = artifacts.require('Mooniswap');
+const MooniZap = artifacts.require('MooniZap');
+const Token = artifacts.require('TokenMock');
+
+async function deployPool (factory, tokenA, amountA, tokenB, amountB, from) {
+    const addressA = tokenA === constants.ZERO_ADDRESS ? tokenA : tokenA.address;
+    const addressB = tokenB === constants.ZERO_ADDRESS ? tokenB : tokenB.address;
+    await factory.deploy(addressA, addressB);
+    const pool = await Mooniswap.at(await factory.pools(addressA, addressB));
+
+    let value = money.zero;
+    for (const [token, amount] of [[tokenA, amountA], [tokenB, amountB]]) {
+        if (token === constants.ZERO_ADDRESS) {
+            value = amount;
+        } else {
+            await token.mint(from, amount);
+            await token.approve(pool.address, amount, { from });
+        }
+    }
+
+    const amounts = (await pool.getTokens())[0] === addressA ? [amountA, amountB] : [amountB, amountA];
+    await pool.deposit(amounts, [money.zero, money.zero], { value, from });
+    return pool;
+}
+
+// Shares for amount split without fee and price impact
+async function idealShares (pool, token, amount) {
+    const supply = await pool.totalSupply();
+    const balance = token === constants.ZERO_ADDRESS ? web3.utils.toBN(await web3.eth.getBalance(pool.address)) : await token.balanceOf(pool.address);
+    return supply.mul(amount).divn(2).div(balance);
+}
+
+function expectFairShares (shares, ideal) {
+    // Only swapped part pays the fee and suffers price impact
+    expect(shares).to.be.bignumber.lt(ideal);
+    expect(shares).to.be.bignumber.gt(ideal.muln(995).divn(1000));
+}
+
+useFixedGas(Mooniswap, MooniZap);
+
+contract('MooniZap', function ([_, wallet1, wallet2]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.WETH = await Token.new('WETH', 'WETH', 18);
+
+        this.factory = await deployFactory();
+        await this.factory.setFee(money.weth('0.003'));
+        this.zap = await MooniZap.new(this.factory.address);
+
+        this.daiWeth = await deployPool(this.factory, this.DAI, money.dai('27000'), this.WETH, money.weth('100'), wallet1);
+        this.ethDai = await deployPool(this.factory, constants.ZERO_ADDRESS, money.eth('10'), this.DAI, money.dai('2700'), wallet1);
+
+        this.deadline = (await time.latest()).add(time.duration.minutes(10));
+        await this.DAI.mint(wallet2, money.dai('270'));
+        await this.DAI.approve(this.zap.address, money.dai('270'), { from: wallet2 });
+    });
+
+    describe('Deposit', async function () {
+        it('should swap about a half of amount', async function () {
+            const { swapAmount, swapReturn } = await this.zap.getDepositSplit(this.daiWeth.address, this.DAI.address, money.dai('270'));
+            expect(swapAmount).to.be.bignumber.gt(money.dai('134'));
+            expect(swapAmount).to.be.bignumber.lt(money.dai('136'));
+            expect(swapReturn).to.be.bignumber.equal(await this.daiWeth.getReturn(this.DAI.address, this.WETH.address, swapAmount));
+        });
+
+        it('should deposit single token with minimal dust', async function () {
+            const ideal = await idealShares(this.daiWeth, this.DAI, money.dai('270'));
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet2,
+                () => this.zap.deposit(this.daiWeth.address, this.DAI.address, money.dai('270'), money.zero, this.deadline, { from: wallet2 }),
+            );
+            const shares = await this.daiWeth.balanceOf(wallet2);
+            expect(shares).to.be.bignumber.gt(money.zero);
+
+            // Only dust is refunded and it is less than a billionth of the amount
+            const refund = received.add(money.dai('270'));
+            expect(refund).to.be.bignumber.lt(money.dai('0.00000027'));
+            expect(await this.WETH.balanceOf(wallet2)).to.be.bignumber.lt(money.weth('0.000000001'));
+
+            expectFairShares(shares, ideal);
+
+            expect(await this.DAI.balanceOf(this.zap.address)).to.be.bignumber.equal(money.zero);
+            expect(await this.WETH.balanceOf(this.zap.address)).to.be.bignumber.equal(money.zero);
+            expect(await this.daiWeth.balanceOf(this.zap.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should deposit ETH', async function () {
+            const ideal = await idealShares(this.ethDai, constants.ZERO_ADDRESS, money.eth('0.1'));
+            await this.zap.deposit(this.ethDai.address, constants.ZERO_ADDRESS, money.eth('0.1'), money.zero, this.deadline, { value: money.eth('0.1'), from: wallet2 });
+
+            expectFairShares(await this.ethDai.balanceOf(wallet2), ideal);
+            expect(await web3.eth.getBalance(this.zap.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should deposit token into ETH pool', async function () {
+            const ideal = await idealShares(this.ethDai, this.DAI, money.dai('27'));
+            await this.zap.deposit(this.ethDai.address, this.DAI.address, money.dai('27'), money.zero, this.deadline, { from: wallet2 });
+
+            expectFairShares(await this.ethDai.balanceOf(wallet2), ideal);
+            expect(await web3.eth.getBalance(this.zap.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should check minShares', async function () {
+            await expectRevert(
+                this.zap.deposit(this.daiWeth.address, this.DAI.address, money.dai('270'), money.dai('270'), this.deadline, { from: wallet2 }),
+                'Zap: shares are not enough',
+            );
+        });
+
+        it('should be denied for token not in pool', async function () {
+            await expectRevert(
+                this.zap.deposit(this.daiWeth.address, constants.ZERO_ADDRESS, money.eth('1'), money.zero, this.deadline, { value: money.eth('1'), from: wallet2 }),
+                'Zap: token is not in pool',
+            );
+        });
+
+        it('should be denied for unknown pool', async function () {
+            const pool = await Mooniswap.new([this.DAI.address, this.WETH.address], 'Mooniswap', 'MOON');
+            await expectRevert(
+                this.zap.deposit(pool.address, this.DAI.address, money.dai('270'), money.zero, this.deadline, { from: wallet2 }),
+                'Zap: pool does not exist',
+            );
+        });
+
+        it('should be denied for wrong value usage', async function () {
+            await expectRevert(
+                this.zap.deposit(this.daiWeth.address, this.DAI.address, money.dai('270'), money.zero, this.deadline, { value: 1, from: wallet2 }),
+                'Zap: wrong value usage',
+            );
+        });
+
+        it('should be denied after deadline', async function () {
+            await expectRevert(
+                this.zap.deposit(this.daiWeth.address, this.DAI.address, money.dai('270'), money.zero, (await time.latest()).subn(1), { from: wallet2 }),
+                'Zap: deadline expired',
+            );
+        });
+    });
+
+    describe('Withdraw', async function () {
+        beforeEach(async function () {
+            await this.daiWeth.approve(this.zap.address, money.dai('135'), { from: wallet1 });
+            await this.ethDai.approve(this.zap.address, money.dai('135'), { from: wallet1 });
+        });
+
+        it('should withdraw into single token as quoted', async function () {
+            const quote = await this.zap.getWithdrawReturn(this.daiWeth.address, money.dai('135'), this.DAI.address);
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet1,
+                () => this.zap.withdraw(this.daiWeth.address, money.dai('135'), this.DAI.address, quote, this.deadline, { from: wallet1 }),
+            );
+            expect(received).to.be.bignumber.equal(quote);
+            expect(received).to.be.bignumber.gt(money.dai('268'));
+            expect(await this.WETH.balanceOf(wallet1)).to.be.bignumber.equal(money.zero);
+            expect(await this.DAI.balanceOf(this.zap.address)).to.be.bignumber.equal(money.zero);
+            expect(await this.WETH.balanceOf(this.zap.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should withdraw into ETH', async function () {
+            const quote = await this.zap.getWithdrawReturn(this.ethDai.address, money.dai('135'), constants.ZERO_ADDRESS);
+            // All ETH leaving the pool goes to the wallet
+            const poolLoss = await trackReceivedToken(
+                constants.ZERO_ADDRESS,
+                this.ethDai.address,
+                () => this.zap.withdraw(this.ethDai.address, money.dai('135'), constants.ZERO_ADDRESS, quote, this.deadline, { from: wallet1 }),
+            );
+            expect(poolLoss.neg()).to.be.bignumber.equal(quote);
+            expect(await web3.eth.getBalance(this.zap.address)).to.be.bignumber.equal(money.zero);
+            expect(await this.DAI.balanceOf(this.zap.address)).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should withdraw with permit', async function () {
+            await this.daiWeth.approve(this.zap.address, money.zero, { from: wallet1 });
+            const quote = await this.zap.getWithdrawReturn(this.daiWeth.address, money.dai('135'), this.DAI.address);
+            const { v, r, s } = await signPermit(this.daiWeth, wallet1, this.zap.address, money.dai('135'), this.deadline);
+
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet1,
+                () => this.zap.withdrawWithPermit(this.daiWeth.address, money.dai('135'), this.DAI.address, quote, this.deadline, v, r, s, { from: wallet1 }),
+            );
+            expect(received).to.be.bignumber.equal(quote);
+        });
+
+        it('should check minReturn', async function () {
+            const quote = await this.zap.getWithdrawReturn(this.daiWeth.address, money.dai('135'), this.DAI.address);
+            await expectRevert(
+                this.zap.withdraw(this.daiWeth.address, money.dai('135'), this.DAI.address, quote.addn(1), this.deadline, { from: wallet1 }),
+                'Zap: return is not enough',
+            );
+        });
+
+        it('should be denied after deadline', async function () {
+            await expectRevert(
+                this.zap.withdraw(this.daiWeth.address, money.dai('135'), this.DAI.address, money.zero, (await time.latest()).subn(1), { from: wallet1 }),
+                'Zap: deadline expired',
+            );
+        });
+    });
+});
@@ -1,54 +1,15 @@
-const { constants, time, ether, expectRevert } = require('@openzeppelin/test-helpers');
+const { constants, time, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
+const { money, useFixedGas, trackReceivedToken, timeIncreaseTo, domainSeparator, signPermit } = require('./helpers/utils');
 
-const money = {
-    ether,
-    eth: ether,
-    zero: ether('0'),
-    oneWei: ether('0').addn(1),
-    weth: ether,
-    dai: ether,
-    usdc: (value) => ether(value).divn(1e12),
-};
-
-async function trackReceivedToken (token, wallet, txPromise) {
-    const preBalance = web3.utils.toBN(
-        (token === constants.ZERO_ADDRESS)
-            ? await web3.eth.getBalance(wallet)
-            : await token.balanceOf(wallet),
-    );
-
-    let txResult = await txPromise();
-    if (txResult.receipt) {
-        // Fix coverage since testrpc-sc gives: { tx: ..., receipt: ...}
-        txResult = txResult.receipt;
-    }
-    let txFees = web3.utils.toBN('0');
-    if (wallet.toLowerCase() === txResult.from.toLowerCase() && token === constants.ZERO_ADDRESS) {
-        const receipt = await web3.eth.getTransactionReceipt(txResult.transactionHash);
-        const tx = await web3.eth.getTransaction(receipt.transactionHash);
-        txFees = web3.utils.toBN(receipt.gasUsed).mul(web3.utils.toBN(tx.gasPrice));
-    }
-
-    const postBalance = web3.utils.toBN(
-        (token === constants.ZERO_ADDRESS)
-            ? await web3.eth.getBalance(wallet)
-            : await token.balanceOf(wallet),
-    );
-
-    return postBalance.sub(preBalance).add(txFees);
+async function blockTimestamp (receipt) {
+    return web3.utils.toBN((await web3.eth.getBlock(receipt.blockNumber)).timestamp);
 }
 
-async function timeIncreaseTo (seconds) {
-    const delay = 1000 - new Date().getMilliseconds();
-    await new Promise(resolve => setTimeout(resolve, delay));
-    await time.increaseTo(seconds);
-}
-
-async function checkBalances (mooniswap, token, expectedBalance, expectedAdditionBalance, expectedRemovalBalance) {
+async function checkBalances (mooniswap, token, other, expectedBalance, expectedAdditionBalance, expectedRemovalBalance) {
     const balance = await token.balanceOf(mooniswap.address);
-    const additionBalance = await mooniswap.getBalanceForAddition(token.address);
-    const removalBalance = await mooniswap.getBalanceForRemoval(token.address);
+    const additionBalance = await mooniswap.getBalanceForAddition(token.address, other.address);
+    const removalBalance = await mooniswap.getBalanceForRemoval(other.address, token.address);
     expect(balance).to.be.bignumber.equal(expectedBalance);
     expect(additionBalance).to.be.bignumber.equal(expectedAdditionBalance);
     expect(removalBalance).to.be.bignumber.equal(expectedRemovalBalance);
@@ -57,8 +18,14 @@ async function checkBalances (mooniswap, token, expectedBalance, expectedAdditio
 const Factory = artifacts.require('FactoryMock');
 const Mooniswap = artifacts.require('MooniswapMock');
 const Token = artifacts.require('TokenMock');
+const FlashLoanReceiver = artifacts.require('FlashLoanReceiverMock');
+const FeeOnTransferToken = artifacts.require('FeeOnTransferTokenMock');
+const RebasingToken = artifacts.require('RebasingTokenMock');
+const Sandwich = artifacts.require('SandwichMock');
+
+useFixedGas(Mooniswap, FlashLoanReceiver);
 
-contract('Mooniswap', function ([_, wallet1, wallet2]) {
+contract('Mooniswap', function ([_, wallet1, wallet2, wallet3, wallet4]) {
     beforeEach(async function () {
         this.DAI = await Token.new('DAI', 'DAI', 18);
         this.WETH = await Token.new('WETH', 'WETH', 18);
@@ -80,20 +47,24 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
             );
         });
 
-        it('should be denied with tokens length not eqaul to 2', async function () {
+        it('should be denied with tokens length not in 2-8 range', async function () {
             await expectRevert(
                 Mooniswap.new([], 'Mooniswap', 'MOON'),
-                'Mooniswap: only 2 tokens allowed',
+                'Mooniswap: 2-8 tokens allowed',
             );
 
             await expectRevert(
                 Mooniswap.new([this.WETH.address], 'Mooniswap', 'MOON'),
-                'Mooniswap: only 2 tokens allowed',
+                'Mooniswap: 2-8 tokens allowed',
             );
 
+            const tokens = [];
+            for (let i = 0; i < 9; i++) {
+                tokens.push((await Token.new('TKN', 'TKN', 18)).address);
+            }
             await expectRevert(
-                Mooniswap.new([this.WETH.address, this.DAI.address, this.USDC.address], 'Mooniswap', 'MOON'),
-                'Mooniswap: only 2 tokens allowed',
+                Mooniswap.new(tokens, 'Mooniswap', 'MOON'),
+                'Mooniswap: 2-8 tokens allowed',
             );
         });
 
@@ -112,6 +83,10 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
         it('should be allowed for 2 different tokens and non-empty name and symbol', async function () {
             await Mooniswap.new([this.WETH.address, this.DAI.address], 'Mooniswap', 'MOON');
         });
+
+        it('should be allowed for 3 different tokens', async function () {
+            await Mooniswap.new([this.WETH.address, this.DAI.address, this.USDC.address], 'Mooniswap', 'MOON');
+        });
     });
 
     describe('Raw ETH support', async function () {
@@ -128,8 +103,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
         });
 
         it('should support ETH to DAI', async function () {
-            const wethAdditionBalance = await this.mooniswap.getBalanceForAddition(constants.ZERO_ADDRESS);
-            const daiRemovalBalance = await this.mooniswap.getBalanceForRemoval(this.DAI.address);
+            const wethAdditionBalance = await this.mooniswap.getBalanceForAddition(constants.ZERO_ADDRESS, this.DAI.address);
+            const daiRemovalBalance = await this.mooniswap.getBalanceForRemoval(constants.ZERO_ADDRESS, this.DAI.address);
             const result = await this.mooniswap.getReturn(constants.ZERO_ADDRESS, this.DAI.address, money.eth('1'));
             expect(wethAdditionBalance).to.be.bignumber.equal(money.eth('1'));
             expect(daiRemovalBalance).to.be.bignumber.equal(money.dai('270'));
@@ -144,8 +119,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
         });
 
         it('should support DAI to ETH', async function () {
-            const daiAdditionBalance = await this.mooniswap.getBalanceForAddition(this.DAI.address);
-            const ethRemovalBalance = await this.mooniswap.getBalanceForRemoval(constants.ZERO_ADDRESS);
+            const daiAdditionBalance = await this.mooniswap.getBalanceForAddition(this.DAI.address, constants.ZERO_ADDRESS);
+            const ethRemovalBalance = await this.mooniswap.getBalanceForRemoval(this.DAI.address, constants.ZERO_ADDRESS);
             const result = await this.mooniswap.getReturn(this.DAI.address, constants.ZERO_ADDRESS, money.dai('270'));
             expect(daiAdditionBalance).to.be.bignumber.equal(money.dai('270'));
             expect(ethRemovalBalance).to.be.bignumber.equal(money.eth('1'));
@@ -158,6 +133,391 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
             );
             expect(received).to.be.bignumber.equal(money.eth('0.5'));
         });
+
+        it('should send ETH to receiver', async function () {
+            const received = await trackReceivedToken(
+                constants.ZERO_ADDRESS,
+                wallet3,
+                () => this.mooniswap.swapTo(this.DAI.address, constants.ZERO_ADDRESS, money.dai('270'), money.zero, constants.ZERO_ADDRESS, wallet3, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(money.eth('0.5'));
+
+            const expected = money.eth('0.5').mul(money.dai('135')).div(await this.mooniswap.totalSupply());
+            const withdrawn = await trackReceivedToken(
+                constants.ZERO_ADDRESS,
+                wallet3,
+                () => this.mooniswap.withdrawTo(money.dai('135'), [], wallet3, { from: wallet1 }),
+            );
+            expect(withdrawn).to.be.bignumber.equal(expected);
+        });
+
+        it('should return excess ETH on exact result swap', async function () {
+            const input = await this.mooniswap.getExpectedInput(constants.ZERO_ADDRESS, this.DAI.address, money.dai('100'));
+            const received = await trackReceivedToken(
+                constants.ZERO_ADDRESS,
+                wallet2,
+                () => this.mooniswap.swapForExact(constants.ZERO_ADDRESS, this.DAI.address, money.dai('100'), money.eth('1'), constants.ZERO_ADDRESS, { value: money.eth('1'), from: wallet2 }),
+            );
+            expect(received.neg()).to.be.bignumber.equal(input);
+            expect(await web3.eth.getBalance(this.mooniswap.address)).to.be.bignumber.equal(money.eth('1').add(input));
+        });
+
+        it('should swap DAI for exact ETH', async function () {
+            const input = await this.mooniswap.getExpectedInput(this.DAI.address, constants.ZERO_ADDRESS, money.eth('0.5'));
+            const received = await trackReceivedToken(
+                constants.ZERO_ADDRESS,
+                wallet2,
+                () => this.mooniswap.swapForExact(this.DAI.address, constants.ZERO_ADDRESS, money.eth('0.5'), input, constants.ZERO_ADDRESS, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(money.eth('0.5'));
+            expect(await this.mooniswap.reserves(this.DAI.address)).to.be.bignumber.equal(money.dai('270').add(input));
+        });
+    });
+
+    describe('Baskets', async function () {
+        beforeEach(async function () {
+            this.basket = await Mooniswap.new([this.WETH.address, this.DAI.address, this.USDC.address], 'Mooniswap', 'MOON');
+            this.pair = await Mooniswap.new([this.WETH.address, this.DAI.address], 'Mooniswap', 'MOON');
+            for (const pool of [this.basket, this.pair]) {
+                await (await Factory.at(await pool.factory.call())).setFee(money.weth('0.003'));
+            }
+
+            for (const wallet of [wallet1, wallet2]) {
+                await this.WETH.mint(wallet, money.weth('10'));
+                await this.DAI.mint(wallet, money.dai('2700'));
+                await this.USDC.mint(wallet, money.usdc('2700'));
+                for (const pool of [this.basket, this.pair]) {
+                    await this.WETH.approve(pool.address, money.weth('10'), { from: wallet });
+                    await this.DAI.approve(pool.address, money.dai('2700'), { from: wallet });
+                    await this.USDC.approve(pool.address, money.usdc('2700'), { from: wallet });
+                }
+            }
+
+            await this.basket.deposit([money.weth('1'), money.dai('270'), money.usdc('270')], [money.zero, money.zero, money.zero], { from: wallet1 });
+            await this.pair.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+            await timeIncreaseTo((await time.latest()).add(await this.basket.decayPeriod()));
+        });
+
+        async function balances (pool, tokens) {
+            const result = [];
+            for (const token of tokens) {
+                result.push(await token.balanceOf(pool.address));
+            }
+            return result;
+        }
+
+        it('should deposit and withdraw proportionally', async function () {
+            const tokens = [this.WETH, this.DAI, this.USDC];
+            expect(await this.basket.balanceOf(wallet1)).to.be.bignumber.equal(money.dai('270'));
+
+            const supply = await this.basket.totalSupply();
+            await this.basket.deposit([money.weth('0.5'), money.dai('270'), money.usdc('270')], [money.zero, money.zero, money.zero], { from: wallet2 });
+            expect(await this.basket.balanceOf(wallet2)).to.be.bignumber.equal(supply.divn(2));
+            expect((await balances(this.basket, tokens)).map(b => b.toString())).to.be.deep.equal(
+                [money.weth('1.5'), money.dai('405'), money.usdc('405')].map(b => b.toString()),
+            );
+
+            await this.basket.withdraw(supply.divn(2), [], { from: wallet2 });
+            expect((await balances(this.basket, tokens)).map(b => b.toString())).to.be.deep.equal(
+                [money.weth('1'), money.dai('270'), money.usdc('270')].map(b => b.toString()),
+            );
+        });
+
+        it('should price pair swap same as 2 token pool', async function () {
+            const expected = await this.pair.getReturn(this.WETH.address, this.DAI.address, money.weth('1'));
+            expect(await this.basket.getReturn(this.WETH.address, this.DAI.address, money.weth('1'))).to.be.bignumber.equal(expected);
+
+            for (const pool of [this.pair, this.basket]) {
+                const received = await trackReceivedToken(
+                    this.DAI,
+                    wallet2,
+                    () => pool.swap(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 }),
+                );
+                expect(received).to.be.bignumber.equal(expected);
+            }
+
+            // Reverse swap with updated virtual balances is the same too
+            const reverse = await this.pair.getReturn(this.DAI.address, this.WETH.address, money.dai('100'));
+            expect(await this.basket.getReturn(this.DAI.address, this.WETH.address, money.dai('100'))).to.be.bignumber.equal(reverse);
+        });
+
+        it('should swap between any pair', async function () {
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet2,
+                () => this.basket.swap(this.USDC.address, this.DAI.address, money.usdc('270'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal('134797195793690535803');
+            expect(await this.WETH.balanceOf(this.basket.address)).to.be.bignumber.equal(money.weth('1'));
+        });
+
+        it('should keep virtual balances per pair', async function () {
+            await this.basket.swap(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+
+            // Reverse direction of the swapped pair uses balances before swap
+            expect(await this.basket.getBalanceForRemoval(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(money.weth('1'));
+            expect(await this.basket.getBalanceForAddition(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(money.dai('270'));
+
+            // Other pairs use real balances
+            const daiBalance = await this.DAI.balanceOf(this.basket.address);
+            expect(await this.basket.getBalanceForRemoval(this.USDC.address, this.WETH.address)).to.be.bignumber.equal(money.weth('2'));
+            expect(await this.basket.getBalanceForAddition(this.DAI.address, this.USDC.address)).to.be.bignumber.equal(daiBalance);
+        });
+
+        it('should keep minted shares within fee growth', async function () {
+            const tokens = [this.WETH, this.DAI, this.USDC];
+            const factory = await Factory.at(await this.basket.factory.call());
+            await factory.setProtocolFee(money.weth('0.5'));
+            await factory.setFeeReceiver(wallet2);
+
+            const supplyBefore = await this.basket.totalSupply();
+            const invariantBefore = (await balances(this.basket, tokens)).reduce((a, b) => a.mul(b));
+            await this.basket.swap(this.WETH.address, this.USDC.address, money.weth('1'), money.zero, wallet1, { from: wallet2 });
+            const supplyAfter = await this.basket.totalSupply();
+            const invariantAfter = (await balances(this.basket, tokens)).reduce((a, b) => a.mul(b));
+
+            expect(supplyAfter).to.be.bignumber.gt(supplyBefore);
+            expect(invariantAfter.mul(supplyBefore.pow(web3.utils.toBN(3)))).to.be.bignumber.gte(invariantBefore.mul(supplyAfter.pow(web3.utils.toBN(3))));
+        });
+    });
+
+    describe('Fee-on-transfer tokens', async function () {
+        beforeEach(async function () {
+            // 1% of every transfer is burned
+            this.FOT = await FeeOnTransferToken.new('FOT', 'FOT', 18, 1);
+            this.mooniswap = await Mooniswap.new([this.FOT.address, this.DAI.address], 'Mooniswap', 'MOON');
+            for (const wallet of [wallet1, wallet2]) {
+                await this.FOT.mint(wallet, money.dai('100'));
+                await this.DAI.mint(wallet, money.dai('270'));
+                await this.FOT.approve(this.mooniswap.address, money.dai('100'), { from: wallet });
+                await this.DAI.approve(this.mooniswap.address, money.dai('270'), { from: wallet });
+            }
+
+            await this.mooniswap.deposit([money.dai('100'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+            expect(await this.FOT.balanceOf(this.mooniswap.address)).to.be.bignumber.equal(money.dai('99'));
+            await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+        });
+
+        it('should mint shares for received amounts', async function () {
+            const totalSupply = await this.mooniswap.totalSupply();
+            await this.mooniswap.deposit([money.dai('100'), money.dai('270')], [money.zero, money.zero], { from: wallet2 });
+            // Pool asks for 99 FOT and receives 98.01 FOT
+            expect(await this.FOT.balanceOf(this.mooniswap.address)).to.be.bignumber.equal(money.dai('197.01'));
+            expect(await this.mooniswap.balanceOf(wallet2)).to.be.bignumber.equal(totalSupply.mul(money.dai('98.01')).div(money.dai('99')));
+        });
+
+        it('should check minAmounts against received amounts', async function () {
+            await expectRevert(
+                this.mooniswap.deposit([money.dai('100'), money.dai('270')], [money.dai('99'), money.zero], { from: wallet2 }),
+                'Mooniswap: minAmount not reached',
+            );
+        });
+
+        it('should swap received amount', async function () {
+            const quote = await this.mooniswap.getReturn(this.FOT.address, this.DAI.address, money.dai('9.9'));
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet2,
+                () => this.mooniswap.swap(this.FOT.address, this.DAI.address, money.dai('10'), quote, constants.ZERO_ADDRESS, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(quote);
+        });
+
+        it('should check minReturns against received amounts on withdraw', async function () {
+            const sent = money.dai('99').mul(money.dai('135')).div(await this.mooniswap.totalSupply());
+            const expected = sent.sub(sent.divn(100));
+            await expectRevert(
+                this.mooniswap.withdraw(money.dai('135'), [sent, money.zero], { from: wallet1 }),
+                'Mooniswap: result is not enough',
+            );
+
+            const received = await trackReceivedToken(
+                this.FOT,
+                wallet1,
+                () => this.mooniswap.withdraw(money.dai('135'), [expected, money.zero], { from: wallet1 }),
+            );
+            expect(received).to.be.bignumber.equal(expected);
+        });
+    });
+
+    describe('Rebasing tokens', async function () {
+        beforeEach(async function () {
+            this.REB = await RebasingToken.new('REB', 'REB', 18);
+            this.mooniswap = await Mooniswap.new([this.REB.address, this.DAI.address], 'Mooniswap', 'MOON');
+            await this.REB.mint(wallet1, money.dai('100'));
+            await this.DAI.mint(wallet1, money.dai('270'));
+            await this.DAI.mint(wallet2, money.dai('27'));
+            await this.REB.approve(this.mooniswap.address, money.dai('100'), { from: wallet1 });
+            await this.DAI.approve(this.mooniswap.address, money.dai('270'), { from: wallet1 });
+            await this.DAI.approve(this.mooniswap.address, money.dai('27'), { from: wallet2 });
+
+            await this.mooniswap.deposit([money.dai('100'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+            await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+        });
+
+        it('should withdraw positively rebased amount after sync', async function () {
+            await this.REB.rebase(money.dai('1.1'));
+            await time.increase(1);
+            await this.mooniswap.sync();
+            const received = await trackReceivedToken(
+                this.REB,
+                wallet1,
+                () => this.mooniswap.withdraw(money.dai('270'), [], { from: wallet1 }),
+            );
+            expect(received).to.be.bignumber.gt(money.dai('109.999'));
+            expect(received).to.be.bignumber.lte(money.dai('110'));
+        });
+
+        it('should reset virtual balances to real ones on sync', async function () {
+            await this.mooniswap.swap(this.DAI.address, this.REB.address, money.dai('27'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+            await this.REB.rebase(money.dai('0.5'));
+            const balance = await this.REB.balanceOf(this.mooniswap.address);
+            // Virtual balance still remembers balance before the swap and the rebase
+            expect(await this.mooniswap.getBalanceForAddition(this.REB.address, this.DAI.address)).to.be.bignumber.gt(money.dai('99'));
+
+            await time.increase(1);
+            const receipt = await this.mooniswap.sync({ from: wallet3 });
+            expectEvent(receipt, 'Synced', { account: wallet3 });
+            expectEvent(receipt, 'VirtualBalancesUpdated', {
+                src: this.REB.address,
+                dst: this.DAI.address,
+                balanceForAddition: balance,
+                balanceForRemoval: money.dai('297'),
+            });
+            expect(await this.mooniswap.getBalanceForAddition(this.REB.address, this.DAI.address)).to.be.bignumber.equal(balance);
+            expect(await this.mooniswap.getBalanceForRemoval(this.DAI.address, this.REB.address)).to.be.bignumber.equal(balance);
+            expect(await this.mooniswap.getBalanceForRemoval(this.REB.address, this.DAI.address)).to.be.bignumber.equal(money.dai('297'));
+        });
+
+        it('should deny sync in the block of other action', async function () {
+            const sandwich = await Sandwich.new();
+            await this.DAI.approve(sandwich.address, money.dai('27'), { from: wallet2 });
+            await expectRevert(
+                sandwich.swapAndSync(this.mooniswap.address, this.DAI.address, this.REB.address, money.dai('27'), { from: wallet2 }),
+                'Mooniswap: action in this block',
+            );
+        });
+    });
+
+    describe('Skim and sync', async function () {
+        beforeEach(async function () {
+            this.mooniswap = await Mooniswap.new([this.WETH.address, this.DAI.address], 'Mooniswap', 'MOON');
+            await this.WETH.mint(wallet1, money.weth('1'));
+            await this.DAI.mint(wallet1, money.dai('270'));
+            await this.WETH.mint(wallet2, money.weth('1'));
+            await this.WETH.approve(this.mooniswap.address, money.weth('1'), { from: wallet1 });
+            await this.DAI.approve(this.mooniswap.address, money.dai('270'), { from: wallet1 });
+            await this.WETH.approve(this.mooniswap.address, money.weth('1'), { from: wallet2 });
+
+            await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+            await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+
+            // Airdrop to the pool
+            await this.DAI.mint(this.mooniswap.address, money.dai('270'));
+        });
+
+        it('should not use surplus in swaps', async function () {
+            expect(await this.mooniswap.reserves(this.DAI.address)).to.be.bignumber.equal(money.dai('270'));
+            expect(await this.mooniswap.getBalanceForRemoval(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(money.dai('270'));
+
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet2,
+                () => this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(money.dai('135'));
+            expect(await this.mooniswap.reserves(this.DAI.address)).to.be.bignumber.equal(money.dai('135'));
+        });
+
+        it('should skim surplus to receiver', async function () {
+            const receipt = await this.mooniswap.skim(wallet3, { from: wallet2 });
+            expectEvent(receipt, 'Skimmed', {
+                account: wallet2,
+                token: this.DAI.address,
+                receiver: wallet3,
+                amount: money.dai('270'),
+            });
+            expect(await this.DAI.balanceOf(wallet3)).to.be.bignumber.equal(money.dai('270'));
+            expect(await this.DAI.balanceOf(this.mooniswap.address)).to.be.bignumber.equal(money.dai('270'));
+
+            const again = await this.mooniswap.skim(wallet3, { from: wallet2 });
+            expectEvent.notEmitted(again, 'Skimmed');
+        });
+
+        it('should keep virtual balances on skim', async function () {
+            await this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+            const additionBalance = await this.mooniswap.virtualBalancesForAddition(this.DAI.address, this.WETH.address);
+            const removalBalance = await this.mooniswap.virtualBalancesForRemoval(this.DAI.address, this.WETH.address);
+
+            await this.mooniswap.skim(wallet3);
+            const skimmedAdditionBalance = await this.mooniswap.virtualBalancesForAddition(this.DAI.address, this.WETH.address);
+            const skimmedRemovalBalance = await this.mooniswap.virtualBalancesForRemoval(this.DAI.address, this.WETH.address);
+            expect(skimmedAdditionBalance.balance).to.be.bignumber.equal(additionBalance.balance);
+            expect(skimmedAdditionBalance.time).to.be.bignumber.equal(additionBalance.time);
+            expect(skimmedRemovalBalance.balance).to.be.bignumber.equal(removalBalance.balance);
+            expect(skimmedRemovalBalance.time).to.be.bignumber.equal(removalBalance.time);
+        });
+
+        it('should absorb surplus on sync', async function () {
+            await time.increase(1);
+            await this.mooniswap.sync();
+            expect(await this.mooniswap.reserves(this.DAI.address)).to.be.bignumber.equal(money.dai('540'));
+            expect(await this.mooniswap.getBalanceForRemoval(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(money.dai('540'));
+
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet1,
+                () => this.mooniswap.withdraw(money.dai('270'), [], { from: wallet1 }),
+            );
+            expect(received).to.be.bignumber.gt(money.dai('539.99'));
+        });
+
+        it('should rescue surplus but not reserves', async function () {
+            const receipt = await this.mooniswap.rescueFunds(this.DAI.address, money.dai('270'));
+            expectEvent(receipt, 'FundsRescued', { token: this.DAI.address, amount: money.dai('270') });
+            expect(await this.DAI.balanceOf(_)).to.be.bignumber.equal(money.dai('270'));
+
+            await expectRevert(
+                this.mooniswap.rescueFunds(this.DAI.address, money.oneWei),
+                'Mooniswap: access denied',
+            );
+        });
+    });
+
+    describe('Permit', async function () {
+        beforeEach(async function () {
+            this.mooniswap = await Mooniswap.new([this.WETH.address, this.DAI.address], 'Mooniswap', 'MOON');
+            this.deadline = (await time.latest()).add(time.duration.minutes(10));
+        });
+
+        it('should use pool name in domain separator', async function () {
+            expect(await this.mooniswap.DOMAIN_SEPARATOR()).to.be.equal(await domainSeparator('Mooniswap', '1', this.mooniswap.address));
+        });
+
+        it('should approve with signature', async function () {
+            const { v, r, s } = await signPermit(this.mooniswap, wallet1, wallet2, money.dai('1'), this.deadline);
+            await this.mooniswap.permit(wallet1, wallet2, money.dai('1'), this.deadline, v, r, s, { from: wallet2 });
+            expect(await this.mooniswap.allowance(wallet1, wallet2)).to.be.bignumber.equal(money.dai('1'));
+            expect(await this.mooniswap.nonces(wallet1)).to.be.bignumber.equal('1');
+        });
+
+        it('should be denied for reused signature', async function () {
+            const { v, r, s } = await signPermit(this.mooniswap, wallet1, wallet2, money.dai('1'), this.deadline);
+            await this.mooniswap.permit(wallet1, wallet2, money.dai('1'), this.deadline, v, r, s, { from: wallet2 });
+            await expectRevert(
+                this.mooniswap.permit(wallet1, wallet2, money.dai('1'), this.deadline, v, r, s, { from: wallet2 }),
+                'ERC20Permit: invalid signature',
+            );
+        });
+
+        it('should be denied after deadline', async function () {
+            const expired = (await time.latest()).subn(1);
+            const { v, r, s } = await signPermit(this.mooniswap, wallet1, wallet2, money.dai('1'), expired);
+            await expectRevert(
+                this.mooniswap.permit(wallet1, wallet2, money.dai('1'), expired, v, r, s, { from: wallet2 }),
+                'ERC20Permit: expired deadline',
+            );
+        });
     });
 
     describe('Actions', async function () {
@@ -302,8 +662,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
             });
 
             it('should give 50% of tokenB for 100% of tokenA swap as designed by x*y=k', async function () {
-                const wethAdditionBalance = await this.mooniswap.getBalanceForAddition(this.WETH.address);
-                const daiRemovalBalance = await this.mooniswap.getBalanceForRemoval(this.DAI.address);
+                const wethAdditionBalance = await this.mooniswap.getBalanceForAddition(this.WETH.address, this.DAI.address);
+                const daiRemovalBalance = await this.mooniswap.getBalanceForRemoval(this.WETH.address, this.DAI.address);
                 const result = await this.mooniswap.getReturn(this.WETH.address, this.DAI.address, money.weth('1'));
                 expect(wethAdditionBalance).to.be.bignumber.equal(money.weth('1'));
                 expect(daiRemovalBalance).to.be.bignumber.equal(money.dai('270'));
@@ -319,8 +679,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
 
             it('should be give additive results for the swaps of the same direction', async function () {
                 // Pre-second swap checks
-                const wethAdditionBalance1 = await this.mooniswap.getBalanceForAddition(this.WETH.address);
-                const daiRemovalBalance1 = await this.mooniswap.getBalanceForRemoval(this.DAI.address);
+                const wethAdditionBalance1 = await this.mooniswap.getBalanceForAddition(this.WETH.address, this.DAI.address);
+                const daiRemovalBalance1 = await this.mooniswap.getBalanceForRemoval(this.WETH.address, this.DAI.address);
                 const result1 = await this.mooniswap.getReturn(this.WETH.address, this.DAI.address, money.weth('0.5'));
                 expect(wethAdditionBalance1).to.be.bignumber.equal(money.weth('1'));
                 expect(daiRemovalBalance1).to.be.bignumber.equal(money.dai('270'));
@@ -335,8 +695,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                 expect(received1).to.be.bignumber.equal(money.dai('90'));
 
                 // Pre-second swap checks
-                const wethAdditionBalance2 = await this.mooniswap.getBalanceForAddition(this.WETH.address);
-                const daiRemovalBalance2 = await this.mooniswap.getBalanceForRemoval(this.DAI.address);
+                const wethAdditionBalance2 = await this.mooniswap.getBalanceForAddition(this.WETH.address, this.DAI.address);
+                const daiRemovalBalance2 = await this.mooniswap.getBalanceForRemoval(this.WETH.address, this.DAI.address);
                 const result2 = await this.mooniswap.getReturn(this.WETH.address, this.DAI.address, money.weth('0.5'));
                 expect(wethAdditionBalance2).to.be.bignumber.equal(money.weth('1.5'));
                 expect(daiRemovalBalance2).to.be.bignumber.equal(money.dai('180'));
@@ -356,8 +716,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
 
             it('should affect reverse price', async function () {
                 // Pre-second swap checks
-                const wethAdditionBalance1 = await this.mooniswap.getBalanceForAddition(this.WETH.address);
-                const daiRemovalBalance1 = await this.mooniswap.getBalanceForRemoval(this.DAI.address);
+                const wethAdditionBalance1 = await this.mooniswap.getBalanceForAddition(this.WETH.address, this.DAI.address);
+                const daiRemovalBalance1 = await this.mooniswap.getBalanceForRemoval(this.WETH.address, this.DAI.address);
                 const result1 = await this.mooniswap.getReturn(this.WETH.address, this.DAI.address, money.weth('1'));
                 expect(wethAdditionBalance1).to.be.bignumber.equal(money.weth('1'));
                 expect(daiRemovalBalance1).to.be.bignumber.equal(money.dai('270'));
@@ -375,8 +735,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                 expect(received1).to.be.bignumber.equal(money.dai('135'));
 
                 // Checks at the start of the decay period
-                const daiAdditionBalance2 = await this.mooniswap.getBalanceForAddition(this.DAI.address);
-                const wethRemovalBalance2 = await this.mooniswap.getBalanceForRemoval(this.WETH.address);
+                const daiAdditionBalance2 = await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address);
+                const wethRemovalBalance2 = await this.mooniswap.getBalanceForRemoval(this.DAI.address, this.WETH.address);
                 const result2 = await this.mooniswap.getReturn(this.DAI.address, this.WETH.address, money.dai('270'));
                 expect(daiAdditionBalance2).to.be.bignumber.equal(money.weth('270'));
                 expect(wethRemovalBalance2).to.be.bignumber.equal(money.dai('1'));
@@ -385,8 +745,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                 await timeIncreaseTo(started.add((await this.mooniswap.decayPeriod()).divn(2)));
 
                 // Checks at the middle of the decay period
-                const daiAdditionBalance3 = await this.mooniswap.getBalanceForAddition(this.DAI.address);
-                const wethRemovalBalance3 = await this.mooniswap.getBalanceForRemoval(this.WETH.address);
+                const daiAdditionBalance3 = await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address);
+                const wethRemovalBalance3 = await this.mooniswap.getBalanceForRemoval(this.DAI.address, this.WETH.address);
                 const result3 = await this.mooniswap.getReturn(this.DAI.address, this.WETH.address, money.dai('202.5'));
                 expect(daiAdditionBalance3).to.be.bignumber.equal(money.dai('202.5'));
                 expect(wethRemovalBalance3).to.be.bignumber.equal(money.weth('1.5'));
@@ -395,8 +755,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                 await timeIncreaseTo(started.add(await this.mooniswap.decayPeriod()));
 
                 // Checks at the end of the decay period
-                const daiAdditionBalance4 = await this.mooniswap.getBalanceForAddition(this.DAI.address);
-                const wethRemovalBalance4 = await this.mooniswap.getBalanceForRemoval(this.WETH.address);
+                const daiAdditionBalance4 = await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address);
+                const wethRemovalBalance4 = await this.mooniswap.getBalanceForRemoval(this.DAI.address, this.WETH.address);
                 const result4 = await this.mooniswap.getReturn(this.DAI.address, this.WETH.address, money.dai('135'));
                 expect(daiAdditionBalance4).to.be.bignumber.equal(money.dai('135'));
                 expect(wethRemovalBalance4).to.be.bignumber.equal(money.weth('2'));
@@ -428,8 +788,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                     ),
                 )).to.be.bignumber.equal(money.dai('135'));
 
-                await checkBalances(this.mooniswap, this.WETH, money.weth('2'), money.weth('2'), money.weth('1'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('135'), money.dai('270'), money.dai('135'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('2'), money.weth('2'), money.weth('1'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('135'), money.dai('270'), money.dai('135'));
 
                 expect(await trackReceivedToken(
                     this.WETH,
@@ -444,13 +804,13 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                     ),
                 )).to.be.bignumber.equal(money.weth('0.5'));
 
-                await checkBalances(this.mooniswap, this.WETH, money.weth('1.5'), money.weth('2'), money.weth('0.5'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('405'), money.dai('540'), money.dai('135'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('1.5'), money.weth('2'), money.weth('0.5'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('405'), money.dai('540'), money.dai('135'));
 
                 await timeIncreaseTo(started.add((await this.mooniswap.decayPeriod()).divn(2)));
 
-                await checkBalances(this.mooniswap, this.WETH, money.weth('1.5'), money.weth('1.75'), money.weth('1'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('405'), money.dai('472.5'), money.dai('270'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('1.5'), money.weth('1.75'), money.weth('1'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('405'), money.dai('472.5'), money.dai('270'));
 
                 expect(await trackReceivedToken(
                     this.DAI,
@@ -465,8 +825,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                     ),
                 )).to.be.bignumber.equal(money.dai('135'));
 
-                await checkBalances(this.mooniswap, this.WETH, money.weth('3.25'), money.weth('3.5'), money.weth('1'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('270'), money.dai('472.5'), money.dai('135'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('3.25'), money.weth('3.5'), money.weth('1'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('270'), money.dai('472.5'), money.dai('135'));
 
                 expect(await trackReceivedToken(
                     this.WETH,
@@ -481,8 +841,81 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                     ),
                 )).to.be.bignumber.equal(money.weth('0.5'));
 
-                await checkBalances(this.mooniswap, this.WETH, money.weth('2.75'), money.weth('3.5'), money.weth('0.5'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('742.5'), money.dai('945'), money.dai('135'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('2.75'), money.weth('3.5'), money.weth('0.5'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('742.5'), money.dai('945'), money.dai('135'));
+            });
+        });
+
+        describe('Exact result swaps', async function () {
+            beforeEach(async function () {
+                await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+                this.factory = await Factory.at(await this.mooniswap.factory.call());
+            });
+
+            async function expectInverse (mooniswap, src, dst, results) {
+                for (const result of results) {
+                    const input = await mooniswap.getExpectedInput(src.address, dst.address, result);
+                    expect(await mooniswap.getReturn(src.address, dst.address, input)).to.be.bignumber.gte(result);
+                    expect(await mooniswap.getReturn(src.address, dst.address, input.subn(1))).to.be.bignumber.lt(result);
+                }
+            }
+
+            it('should invert getReturn for any fee', async function () {
+                const results = [web3.utils.toBN('1'), web3.utils.toBN('999'), money.weth('0.01'), money.weth('0.5'), money.weth('0.999')];
+                for (const fee of ['0', '0.0001', '0.001', '0.003']) {
+                    await this.factory.setFee(money.weth(fee));
+                    await expectInverse(this.mooniswap, this.DAI, this.WETH, results);
+                    await expectInverse(this.mooniswap, this.WETH, this.DAI, results.map(result => result.muln(270)));
+                }
+            });
+
+            it('should invert getReturn with virtual balances', async function () {
+                await this.factory.setFee(money.weth('0.003'));
+                await this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('0.5'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+                expect(await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address)).to.be.bignumber.gt(await this.mooniswap.reserves(this.DAI.address));
+
+                await expectInverse(this.mooniswap, this.DAI, this.WETH, [money.weth('0.001'), money.weth('0.3')]);
+                await expectInverse(this.mooniswap, this.WETH, this.DAI, [money.dai('1'), money.dai('50')]);
+            });
+
+            it('should not quote unreachable result', async function () {
+                expect(await this.mooniswap.getExpectedInput(this.WETH.address, this.DAI.address, money.dai('270'))).to.be.bignumber.equal(money.zero);
+                expect(await this.mooniswap.getExpectedInput(this.WETH.address, this.WETH.address, money.weth('0.1'))).to.be.bignumber.equal(money.zero);
+                expect(await this.mooniswap.getExpectedInput(this.WETH.address, this.DAI.address, money.zero)).to.be.bignumber.equal(money.zero);
+            });
+
+            it('should take only expected input for exact result', async function () {
+                await this.factory.setFee(money.weth('0.003'));
+                const input = await this.mooniswap.getExpectedInput(this.WETH.address, this.DAI.address, money.dai('100'));
+                expect(await this.mooniswap.swapForExact.call(this.WETH.address, this.DAI.address, money.dai('100'), money.weth('1'), constants.ZERO_ADDRESS, { from: wallet2 }))
+                    .to.be.bignumber.equal(input);
+
+                const wethBalance = await this.WETH.balanceOf(wallet2);
+                const received = await trackReceivedToken(
+                    this.DAI,
+                    wallet2,
+                    () => this.mooniswap.swapForExact(this.WETH.address, this.DAI.address, money.dai('100'), money.weth('1'), constants.ZERO_ADDRESS, { from: wallet2 }),
+                );
+                expect(received).to.be.bignumber.equal(money.dai('100'));
+                expect(await this.WETH.balanceOf(wallet2)).to.be.bignumber.equal(wethBalance.sub(input));
+                expect(await this.mooniswap.reserves(this.WETH.address)).to.be.bignumber.equal(money.weth('1').add(input));
+                expect(await this.mooniswap.reserves(this.DAI.address)).to.be.bignumber.equal(money.dai('170'));
+            });
+
+            it('should fail when expected input exceeds maxInput', async function () {
+                const input = await this.mooniswap.getExpectedInput(this.WETH.address, this.DAI.address, money.dai('100'));
+                await expectRevert(
+                    this.mooniswap.swapForExact(this.WETH.address, this.DAI.address, money.dai('100'), input.subn(1), constants.ZERO_ADDRESS, { from: wallet2 }),
+                    'Mooniswap: input is too big',
+                );
+            });
+
+            it('should fail for unreachable result', async function () {
+                await expectRevert(
+                    this.mooniswap.swapForExact(this.WETH.address, this.DAI.address, money.dai('270'), money.weth('10'), constants.ZERO_ADDRESS, { from: wallet2 }),
+                    'Mooniswap: input is too big',
+                );
             });
         });
 
@@ -520,13 +953,13 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
 
                 await this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
 
-                await checkBalances(this.mooniswap, this.WETH, money.weth('2'), money.weth('2'), money.weth('1'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('135'), money.dai('270'), money.dai('135'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('2'), money.weth('2'), money.weth('1'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('135'), money.dai('270'), money.dai('135'));
 
                 await timeIncreaseTo(started.add((await this.mooniswap.decayPeriod()).divn(2)));
 
-                await checkBalances(this.mooniswap, this.WETH, money.weth('2'), money.weth('2'), money.weth('1.5'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('135'), money.dai('202.5'), money.dai('135'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('2'), money.weth('2'), money.weth('1.5'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('135'), money.dai('202.5'), money.dai('135'));
 
                 const received = await trackReceivedToken(
                     this.mooniswap,
@@ -540,8 +973,8 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                 expect(received).to.be.bignumber.equal(money.dai('270').addn(1000));
 
                 // All the balances are double since it was 100% deposit
-                await checkBalances(this.mooniswap, this.WETH, money.weth('4'), money.weth('4'), money.weth('3'));
-                await checkBalances(this.mooniswap, this.DAI, money.dai('270'), money.dai('405'), money.dai('270'));
+                await checkBalances(this.mooniswap, this.WETH, this.DAI, money.weth('4'), money.weth('4'), money.weth('3'));
+                await checkBalances(this.mooniswap, this.DAI, this.WETH, money.dai('270'), money.dai('405'), money.dai('270'));
             });
         });
 
@@ -571,6 +1004,19 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                 expect(await this.WETH.balanceOf(this.mooniswap.address)).to.be.bignumber.equal('4');
             });
 
+            it('should be able to exit paused pool', async function () {
+                const factory = await Factory.at(await this.mooniswap.factory.call());
+                await factory.setPaused(true);
+                await expectRevert(
+                    this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet2 }),
+                    'Mooniswap: paused',
+                );
+
+                await this.mooniswap.withdraw(money.dai('270'), [money.weth('1').subn(4), money.dai('270').subn(1000)], { from: wallet1 });
+                expect(await this.mooniswap.balanceOf(wallet1)).to.be.bignumber.equal(money.zero);
+                expect(await this.WETH.balanceOf(wallet1)).to.be.bignumber.equal(money.weth('1').subn(4));
+            });
+
             it('2 users should be able to exit', async function () {
                 await this.mooniswap.deposit(
                     [money.weth('1'), money.dai('270')],
@@ -590,6 +1036,185 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
             });
         });
 
+        describe('Events', async function () {
+            beforeEach(async function () {
+                await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+            });
+
+            it('should emit token amounts and virtual balances on deposit', async function () {
+                const receipt = await this.mooniswap.deposit([money.weth('1'), money.dai('271')], [money.zero, money.zero], { from: wallet2 });
+                const event = expectEvent(receipt, 'Deposited', {
+                    account: wallet2,
+                    receiver: wallet2,
+                    amount: money.dai('270').addn(1000),
+                });
+                expect(event.args.amounts.map(String)).to.be.deep.equal([money.weth('1'), money.dai('270')].map(String));
+
+                expectEvent(receipt, 'VirtualBalancesUpdated', {
+                    src: this.WETH.address,
+                    dst: this.DAI.address,
+                    balanceForAddition: money.weth('2'),
+                    balanceForRemoval: money.dai('540'),
+                });
+                expectEvent(receipt, 'VirtualBalancesUpdated', {
+                    src: this.DAI.address,
+                    dst: this.WETH.address,
+                    balanceForAddition: money.dai('540'),
+                    balanceForRemoval: money.weth('2'),
+                });
+            });
+
+            it('should emit token amounts and virtual balances on withdrawal', async function () {
+                const totalSupply = await this.mooniswap.totalSupply();
+                const wethAmount = money.weth('1').mul(money.dai('135')).div(totalSupply);
+                const daiAmount = money.dai('270').mul(money.dai('135')).div(totalSupply);
+
+                const receipt = await this.mooniswap.withdraw(money.dai('135'), [], { from: wallet1 });
+                const event = expectEvent(receipt, 'Withdrawn', {
+                    account: wallet1,
+                    receiver: wallet1,
+                    amount: money.dai('135'),
+                });
+                expect(event.args.amounts.map(String)).to.be.deep.equal([wethAmount, daiAmount].map(String));
+
+                expectEvent(receipt, 'VirtualBalancesUpdated', {
+                    src: this.WETH.address,
+                    dst: this.DAI.address,
+                    balanceForAddition: money.weth('1').sub(wethAmount),
+                    balanceForRemoval: money.dai('270').sub(daiAmount),
+                });
+                expectEvent(receipt, 'VirtualBalancesUpdated', {
+                    src: this.DAI.address,
+                    dst: this.WETH.address,
+                    balanceForAddition: money.dai('270').sub(daiAmount),
+                    balanceForRemoval: money.weth('1').sub(wethAmount),
+                });
+            });
+
+            it('should emit virtual balances of both directions on swap', async function () {
+                const result = await this.mooniswap.getReturn(this.WETH.address, this.DAI.address, money.weth('0.1'));
+                const receipt = await this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('0.1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+                expectEvent(receipt, 'VirtualBalancesUpdated', {
+                    src: this.WETH.address,
+                    dst: this.DAI.address,
+                    balanceForAddition: money.weth('1.1'),
+                    balanceForRemoval: money.dai('270').sub(result),
+                });
+                // Opposite direction keeps balances before the swap for the decay period
+                expectEvent(receipt, 'VirtualBalancesUpdated', {
+                    src: this.DAI.address,
+                    dst: this.WETH.address,
+                    balanceForAddition: money.dai('270'),
+                    balanceForRemoval: money.weth('1'),
+                });
+            });
+        });
+
+        describe('Receivers', async function () {
+            beforeEach(async function () {
+                await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+            });
+
+            it('should send swap result to receiver', async function () {
+                const result = await this.mooniswap.getReturn(this.WETH.address, this.DAI.address, money.weth('0.1'));
+                const daiBalance = await this.DAI.balanceOf(wallet2);
+                const wethBalance = await this.WETH.balanceOf(wallet2);
+
+                const receipt = await this.mooniswap.swapTo(this.WETH.address, this.DAI.address, money.weth('0.1'), result, constants.ZERO_ADDRESS, wallet3, { from: wallet2 });
+                expect(await this.DAI.balanceOf(wallet3)).to.be.bignumber.equal(result);
+                expect(await this.DAI.balanceOf(wallet2)).to.be.bignumber.equal(daiBalance);
+                expect(await this.WETH.balanceOf(wallet2)).to.be.bignumber.equal(wethBalance.sub(money.weth('0.1')));
+                expectEvent(receipt, 'Swapped', { account: wallet2, receiver: wallet3, result });
+            });
+
+            it('should record sender as receiver of plain swap', async function () {
+                const receipt = await this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('0.1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+                expectEvent(receipt, 'Swapped', { account: wallet2, receiver: wallet2 });
+            });
+
+            it('should mint shares to receiver', async function () {
+                const receipt = await this.mooniswap.depositFor([money.weth('1'), money.dai('270')], [money.zero, money.zero], wallet3, { from: wallet2 });
+                expect(await this.mooniswap.balanceOf(wallet3)).to.be.bignumber.equal(money.dai('270').addn(1000));
+                expect(await this.mooniswap.balanceOf(wallet2)).to.be.bignumber.equal(money.zero);
+                expect(await this.WETH.balanceOf(wallet2)).to.be.bignumber.equal(money.weth('9'));
+                expectEvent(receipt, 'Deposited', { account: wallet2, receiver: wallet3, amount: money.dai('270').addn(1000) });
+            });
+
+            it('should send withdrawn tokens to receiver', async function () {
+                const totalSupply = await this.mooniswap.totalSupply();
+                const wethAmount = money.weth('1').mul(money.dai('135')).div(totalSupply);
+                const daiAmount = money.dai('270').mul(money.dai('135')).div(totalSupply);
+
+                await expectRevert(
+                    this.mooniswap.withdrawTo(money.dai('135'), [wethAmount.addn(1)], wallet3, { from: wallet1 }),
+                    'Mooniswap: result is not enough',
+                );
+
+                const receipt = await this.mooniswap.withdrawTo(money.dai('135'), [wethAmount, daiAmount], wallet3, { from: wallet1 });
+                expect(await this.WETH.balanceOf(wallet3)).to.be.bignumber.equal(wethAmount);
+                expect(await this.DAI.balanceOf(wallet3)).to.be.bignumber.equal(daiAmount);
+                expect(await this.WETH.balanceOf(wallet1)).to.be.bignumber.equal(money.zero);
+                expect(await this.mooniswap.balanceOf(wallet1)).to.be.bignumber.equal(money.dai('135'));
+                expectEvent(receipt, 'Withdrawn', { account: wallet1, receiver: wallet3, amount: money.dai('135') });
+            });
+        });
+
+        describe('Deadlines', async function () {
+            beforeEach(async function () {
+                this.deadline = (await time.latest()).add(time.duration.minutes(10));
+                this.expired = (await time.latest()).subn(1);
+            });
+
+            it('should deposit before deadline', async function () {
+                await this.mooniswap.depositWithDeadline([money.weth('1'), money.dai('270')], [money.zero, money.zero], this.deadline, { from: wallet1 });
+                expect(await this.mooniswap.balanceOf(wallet1)).to.be.bignumber.equal(money.dai('270'));
+            });
+
+            it('should not deposit after deadline', async function () {
+                await expectRevert(
+                    this.mooniswap.depositWithDeadline([money.weth('1'), money.dai('270')], [money.zero, money.zero], this.expired, { from: wallet1 }),
+                    'Mooniswap: deadline expired',
+                );
+            });
+
+            describe('after deposit', async function () {
+                beforeEach(async function () {
+                    await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                });
+
+                it('should swap before deadline', async function () {
+                    const received = await trackReceivedToken(
+                        this.DAI,
+                        wallet2,
+                        () => this.mooniswap.swapWithDeadline(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, this.deadline, { from: wallet2 }),
+                    );
+                    expect(received).to.be.bignumber.equal(money.dai('135'));
+                });
+
+                it('should not swap after deadline', async function () {
+                    await expectRevert(
+                        this.mooniswap.swapWithDeadline(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, this.expired, { from: wallet2 }),
+                        'Mooniswap: deadline expired',
+                    );
+                });
+
+                it('should withdraw before deadline', async function () {
+                    await this.mooniswap.withdrawWithDeadline(money.dai('270'), [], this.deadline, { from: wallet1 });
+                    expect(await this.mooniswap.balanceOf(wallet1)).to.be.bignumber.equal(money.zero);
+                    expect(await this.DAI.balanceOf(this.mooniswap.address)).to.be.bignumber.equal('1000');
+                });
+
+                it('should not withdraw after deadline', async function () {
+                    await expectRevert(
+                        this.mooniswap.withdrawWithDeadline(money.dai('270'), [], this.expired, { from: wallet1 }),
+                        'Mooniswap: deadline expired',
+                    );
+                });
+            });
+        });
+
         describe('Rounding', async function () {
             for (const i of ['13', '452', '8000', '14991', '98625']) {
                 it('should round virtual balances on withdrawals correctly', async function () {
@@ -600,10 +1225,10 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                     expect(await this.mooniswap.totalSupply()).to.be.bignumber.equal((100000 - i).toString());
                     const daiBalance = await this.DAI.balanceOf(this.mooniswap.address);
                     const wethBalance = await this.WETH.balanceOf(this.mooniswap.address);
-                    expect(await this.mooniswap.getBalanceForAddition(this.DAI.address)).to.be.bignumber.equal(daiBalance);
-                    expect(await this.mooniswap.getBalanceForRemoval(this.DAI.address)).to.be.bignumber.equal(daiBalance);
-                    expect(await this.mooniswap.getBalanceForAddition(this.WETH.address)).to.be.bignumber.equal(wethBalance);
-                    expect(await this.mooniswap.getBalanceForRemoval(this.WETH.address)).to.be.bignumber.equal(wethBalance);
+                    expect(await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(daiBalance);
+                    expect(await this.mooniswap.getBalanceForRemoval(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(daiBalance);
+                    expect(await this.mooniswap.getBalanceForAddition(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(wethBalance);
+                    expect(await this.mooniswap.getBalanceForRemoval(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(wethBalance);
                 });
             }
         });
@@ -633,5 +1258,257 @@ contract('Mooniswap', function ([_, wallet1, wallet2]) {
                 expect(received1).to.be.bignumber.equal('134797195793690535803');
             });
         });
+
+        describe('Protocol fee', async function () {
+            beforeEach(async function () {
+                await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+
+                this.factory = await Factory.at(await this.mooniswap.factory.call());
+                await this.factory.setFee(money.weth('0.003'));
+            });
+
+            // Minted shares never exceed fee growth when invariant per share does not decrease
+            async function swapAndCheckInvariantPerShare (mooniswap, tokens, referral) {
+                const state = async () => ({
+                    supply: await mooniswap.totalSupply(),
+                    invariant: (await tokens[0].balanceOf(mooniswap.address)).mul(await tokens[1].balanceOf(mooniswap.address)),
+                });
+
+                const before = await state();
+                await mooniswap.swap(tokens[0].address, tokens[1].address, money.weth('1'), money.zero, referral, { from: wallet2 });
+                const after = await state();
+
+                expect(after.invariant.mul(before.supply.sqr())).to.be.bignumber.gte(before.invariant.mul(after.supply.sqr()));
+                return after.supply.sub(before.supply);
+            }
+
+            it('should not mint protocol share without fee receiver', async function () {
+                await this.factory.setProtocolFee(money.weth('0.5'));
+                const minted = await swapAndCheckInvariantPerShare(this.mooniswap, [this.WETH, this.DAI], constants.ZERO_ADDRESS);
+                expect(minted).to.be.bignumber.equal(money.zero);
+            });
+
+            it('should mint protocol share to fee receiver', async function () {
+                await this.factory.setProtocolFee(money.weth('0.5'));
+                await this.factory.setFeeReceiver(wallet4);
+                const minted = await swapAndCheckInvariantPerShare(this.mooniswap, [this.WETH, this.DAI], constants.ZERO_ADDRESS);
+                expect(minted).to.be.bignumber.gt(money.zero);
+                expect(await this.mooniswap.balanceOf(wallet4)).to.be.bignumber.equal(minted);
+            });
+
+            it('should mint referral and protocol shares together', async function () {
+                await this.factory.setProtocolFee(money.weth('0.5'));
+                await this.factory.setFeeReceiver(wallet4);
+                const minted = await swapAndCheckInvariantPerShare(this.mooniswap, [this.WETH, this.DAI], wallet3);
+
+                const referralShare = await this.mooniswap.balanceOf(wallet3);
+                const protocolShare = await this.mooniswap.balanceOf(wallet4);
+                expect(referralShare).to.be.bignumber.gt(money.zero);
+                // Referral takes 5% and protocol takes 50% of the same LPs revenue
+                expect(protocolShare.divn(10)).to.be.bignumber.equal(referralShare);
+                expect(referralShare.add(protocolShare)).to.be.bignumber.equal(minted);
+            });
+
+            for (const protocolFee of ['0', '0.1', '0.25', '0.5']) {
+                it(`should keep minted shares within fee growth for ${protocolFee} protocol fee`, async function () {
+                    await this.factory.setProtocolFee(money.weth(protocolFee));
+                    await this.factory.setFeeReceiver(wallet4);
+                    await swapAndCheckInvariantPerShare(this.mooniswap, [this.WETH, this.DAI], wallet3);
+                    await swapAndCheckInvariantPerShare(this.mooniswap, [this.DAI, this.WETH], wallet3);
+                    await swapAndCheckInvariantPerShare(this.mooniswap, [this.WETH, this.DAI], wallet3);
+                });
+            }
+        });
+
+        describe('Decay period', async function () {
+            beforeEach(async function () {
+                await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                await timeIncreaseTo((await time.latest()).addn(10));
+                // Swap 1 WETH to 135 DAI, so DAI balance for addition decays from 270 to 135
+                const receipt = await this.mooniswap.swap(this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+                this.started = await blockTimestamp(receipt.receipt);
+                this.factory = await Factory.at(await this.mooniswap.factory.call());
+            });
+
+            it('should be 5 minutes by default', async function () {
+                expect(await this.mooniswap.decayPeriod()).to.be.bignumber.equal('300');
+            });
+
+            it('should continue decay from current value', async function () {
+                await timeIncreaseTo(this.started.addn(150));
+                const before = await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address);
+                await this.factory.setDecayPeriod(time.duration.minutes(10));
+                // Any action applies decay period from factory
+                await this.mooniswap.withdraw(money.zero, [], { from: wallet1 });
+                expect(await this.mooniswap.decayPeriod()).to.be.bignumber.equal('600');
+                const changed = await time.latest();
+
+                // Value does not jump, it only decays for a couple of seconds
+                const after = await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address);
+                expect(after).to.be.bignumber.lte(before);
+                expect(after).to.be.bignumber.gt(money.dai('200'));
+
+                // Old decay period would be over already
+                await timeIncreaseTo(changed.add(time.duration.minutes(5)));
+                expect(await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address)).to.be.bignumber.gt(money.dai('150'));
+
+                await timeIncreaseTo(changed.add(time.duration.minutes(10)));
+                expect(await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(money.dai('135'));
+            });
+
+            it('should keep decayed balances decayed', async function () {
+                await timeIncreaseTo(this.started.add(time.duration.minutes(5)));
+                await this.factory.setDecayPeriod(time.duration.minutes(10));
+                await this.mooniswap.withdraw(money.zero, [], { from: wallet1 });
+                expect(await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(money.dai('135'));
+                expect(await this.mooniswap.getBalanceForRemoval(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(money.weth('2'));
+            });
+
+            it('should not be applied before next action', async function () {
+                await this.factory.setDecayPeriod(time.duration.minutes(10));
+                expect(await this.mooniswap.decayPeriod()).to.be.bignumber.equal('300');
+                await timeIncreaseTo((await time.latest()).add(time.duration.minutes(5)));
+                expect(await this.mooniswap.getBalanceForAddition(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(money.dai('135'));
+            });
+        });
+
+        describe('Flash loans', async function () {
+            beforeEach(async function () {
+                await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                await timeIncreaseTo((await time.latest()).add(await this.mooniswap.decayPeriod()));
+
+                const factory = await Factory.at(await this.mooniswap.factory.call());
+                await factory.setFee(money.weth('0.003'));
+
+                // Receiver pays fee from its own balance
+                this.receiver = await FlashLoanReceiver.new();
+                await this.DAI.mint(this.receiver.address, money.dai('1'));
+            });
+
+            it('should lend and charge fee for LPs', async function () {
+                await this.receiver.flashLoan(this.mooniswap.address, this.DAI.address, money.dai('100'));
+                expect(await this.DAI.balanceOf(this.mooniswap.address)).to.be.bignumber.equal(money.dai('270.3'));
+                expect(await this.DAI.balanceOf(this.receiver.address)).to.be.bignumber.equal(money.dai('0.7'));
+
+                await this.mooniswap.withdraw(money.dai('270'), [], { from: wallet1 });
+                expect(await this.DAI.balanceOf(wallet1)).to.be.bignumber.gt(money.dai('270'));
+            });
+
+            it('should not change virtual balances', async function () {
+                const before = [];
+                for (const [src, dst] of [[this.WETH, this.DAI], [this.DAI, this.WETH]]) {
+                    before.push(await this.mooniswap.virtualBalancesForAddition(src.address, dst.address));
+                    before.push(await this.mooniswap.virtualBalancesForRemoval(src.address, dst.address));
+                }
+
+                await this.receiver.flashLoan(this.mooniswap.address, this.DAI.address, money.dai('100'));
+
+                const after = [];
+                for (const [src, dst] of [[this.WETH, this.DAI], [this.DAI, this.WETH]]) {
+                    after.push(await this.mooniswap.virtualBalancesForAddition(src.address, dst.address));
+                    after.push(await this.mooniswap.virtualBalancesForRemoval(src.address, dst.address));
+                }
+                for (let i = 0; i < before.length; i++) {
+                    expect(after[i].balance).to.be.bignumber.equal(before[i].balance);
+                    expect(after[i].time).to.be.bignumber.equal(before[i].time);
+                }
+            });
+
+            it('should be denied without fee', async function () {
+                await this.receiver.setMode(money.oneWei, false);
+                await expectRevert(
+                    this.receiver.flashLoan(this.mooniswap.address, this.DAI.address, money.dai('100')),
+                    'Mooniswap: flash loan not repaid',
+                );
+            });
+
+            it('should be denied for reentrant loan', async function () {
+                await this.receiver.setMode(money.zero, true);
+                await expectRevert(
+                    this.receiver.flashLoan(this.mooniswap.address, this.DAI.address, money.dai('100')),
+                    'ReentrancyGuard: reentrant call',
+                );
+            });
+
+            it('should be denied for token not in pool', async function () {
+                await expectRevert(
+                    this.receiver.flashLoan(this.mooniswap.address, this.USDC.address, money.usdc('100')),
+                    'Mooniswap: token is not in pool',
+                );
+            });
+
+            it('should lend ETH', async function () {
+                const pool = await Mooniswap.new([constants.ZERO_ADDRESS, this.DAI.address], 'Mooniswap', 'MOON');
+                await this.DAI.approve(pool.address, money.dai('270'), { from: wallet2 });
+                await pool.deposit([money.eth('1'), money.dai('270')], [money.zero, money.zero], { value: money.eth('1'), from: wallet2 });
+                const factory = await Factory.at(await pool.factory.call());
+                await factory.setFee(money.weth('0.003'));
+                await web3.eth.sendTransaction({ from: wallet2, to: this.receiver.address, value: money.eth('0.01') });
+
+                await this.receiver.flashLoan(pool.address, constants.ZERO_ADDRESS, money.eth('0.5'));
+                expect(await web3.eth.getBalance(pool.address)).to.be.bignumber.equal(money.eth('1.0015'));
+
+                await this.receiver.setMode(money.oneWei, false);
+                await expectRevert(
+                    this.receiver.flashLoan(pool.address, constants.ZERO_ADDRESS, money.eth('0.5')),
+                    'Mooniswap: flash loan not repaid',
+                );
+            });
+
+            it('should reject plain ETH transfers', async function () {
+                const pool = await Mooniswap.new([constants.ZERO_ADDRESS, this.DAI.address], 'Mooniswap', 'MOON');
+                await expectRevert(
+                    web3.eth.sendTransaction({ from: wallet2, to: pool.address, value: money.eth('1') }),
+                    'Mooniswap: ETH deposit rejected',
+                );
+            });
+        });
+
+        describe('Price accumulators', async function () {
+            beforeEach(async function () {
+                const { receipt } = await this.mooniswap.deposit([money.weth('1'), money.dai('270')], [money.zero, money.zero], { from: wallet1 });
+                this.started = await blockTimestamp(receipt);
+            });
+
+            it('should start accumulating on first deposit', async function () {
+                expect(await this.mooniswap.priceCumulativeTimestamp()).to.be.bignumber.equal(this.started);
+                expect(await this.mooniswap.priceCumulativeLast(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(money.zero);
+                expect(await this.mooniswap.priceCumulativeLast(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(money.zero);
+            });
+
+            it('should accumulate prices on swap and withdraw', async function () {
+                await time.increase(time.duration.minutes(10));
+                const swapped = await blockTimestamp((await this.mooniswap.swap(
+                    this.WETH.address, this.DAI.address, money.weth('1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 },
+                )).receipt);
+
+                // Prices before swap: 270 DAI per WETH and 1/270 WETH per DAI
+                const wethPrice = money.dai('270').mul(swapped.sub(this.started));
+                const daiPrice = money.weth('1').mul(money.weth('1')).div(money.dai('270')).mul(swapped.sub(this.started));
+                expect(await this.mooniswap.priceCumulativeTimestamp()).to.be.bignumber.equal(swapped);
+                expect(await this.mooniswap.priceCumulativeLast(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(wethPrice);
+                expect(await this.mooniswap.priceCumulativeLast(this.DAI.address, this.WETH.address)).to.be.bignumber.equal(daiPrice);
+
+                await time.increase(time.duration.minutes(10));
+                const withdrawn = await blockTimestamp((await this.mooniswap.withdraw(money.dai('135'), [], { from: wallet1 })).receipt);
+
+                // Price after swap: 135 DAI for 2 WETH
+                const wethPrice2 = wethPrice.add(money.dai('67.5').mul(withdrawn.sub(swapped)));
+                expect(await this.mooniswap.priceCumulativeTimestamp()).to.be.bignumber.equal(withdrawn);
+                expect(await this.mooniswap.priceCumulativeLast(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(wethPrice2);
+            });
+
+            it('should extrapolate cumulative price to the current time', async function () {
+                expect(await this.mooniswap.getPriceCumulative(this.WETH.address, this.DAI.address)).to.be.bignumber.equal(
+                    money.dai('270').mul((await time.latest()).sub(this.started)),
+                );
+            });
+
+            it('should return zero cumulative for wrong tokens', async function () {
+                expect(await this.mooniswap.getPriceCumulative(this.WETH.address, this.WETH.address)).to.be.bignumber.equal(money.zero);
+                expect(await this.mooniswap.getPriceCumulative(this.USDC.address, this.DAI.address)).to.be.bignumber.equal(money.zero);
+            });
+        });
     });
 });
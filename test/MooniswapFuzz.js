@@ -0,0 +1,343 @@
+const { constants, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, useFixedGas, createRandom } = require('./helpers/utils');
+const sdk = require('../sdk');
+
+const Mooniswap = artifacts.require('MooniswapMock');
+const Factory = artifacts.require('FactoryMock');
+const Token = artifacts.require('TokenMock');
+
+// FUZZ_SEED=<seed> FUZZ_RUNS=1 reproduces failed run, seed is printed in the test name and in the failure
+const SEED = Number(process.env.FUZZ_SEED || Date.now() % 1e9);
+const RUNS = Number(process.env.FUZZ_RUNS || 2);
+const STEPS = Number(process.env.FUZZ_STEPS || 30);
+
+// Relative tolerance of per-share invariant, basket share growth is an approximation of N-th root
+const INVARIANT_PRECISION = new web3.utils.BN('1000000000000');
+
+const configs = [
+    {
+        name: 'pair',
+        tokens: [['WETH', 18, money.weth('100')], ['DAI', 18, money.dai('27000')]],
+    },
+    {
+        name: 'basket',
+        tokens: [['WETH', 18, money.weth('100')], ['DAI', 18, money.dai('27000')], ['USDC', 6, money.usdc('27000')]],
+    },
+];
+
+// Actions keep amounts relative to pool and wallet balances (in per-mille), so they stay valid when other actions are dropped from the trace
+const actionWeights = {
+    swap: 4,
+    swapForExact: 2,
+    deposit: 2,
+    withdraw: 2,
+    wait: 2,
+    setFee: 1,
+    swapRoundTrip: 1,
+    depositRoundTrip: 1,
+};
+
+function randomFee (random) {
+    return money.ether('0.01').muln(Math.floor(random() * 101)).divn(100);
+}
+
+function generateActions (random, config, count) {
+    const randomInt = (max) => Math.floor(random() * max);
+    const randomItem = (items) => items[randomInt(items.length)];
+    const randomPair = () => {
+        const src = randomInt(config.tokens.length);
+        return [src, (src + 1 + randomInt(config.tokens.length - 1)) % config.tokens.length];
+    };
+
+    const types = [].concat(...Object.keys(actionWeights).map(type => Array(actionWeights[type]).fill(type)));
+    const actions = [];
+    for (let i = 0; i < count; i++) {
+        const type = randomItem(types);
+        switch (type) {
+        case 'swap': {
+            const [src, dst] = randomPair();
+            actions.push({ type, actor: randomItem(['trader1', 'trader2']), src, dst, fraction: randomInt(300) + 1, referral: randomInt(2) === 1 });
+            break;
+        }
+        case 'swapForExact': {
+            const [src, dst] = randomPair();
+            actions.push({ type, actor: randomItem(['trader1', 'trader2']), src, dst, fraction: randomInt(300) + 1 });
+            break;
+        }
+        case 'swapRoundTrip': {
+            const [src, dst] = randomPair();
+            actions.push({ type, src, dst, fraction: randomInt(300) + 1 });
+            break;
+        }
+        case 'deposit':
+            actions.push({ type, actor: randomItem(['trader1', 'trader2']), fractions: config.tokens.map(() => randomInt(200) + 1) });
+            break;
+        case 'depositRoundTrip':
+            actions.push({ type, fractions: config.tokens.map(() => randomInt(200) + 1) });
+            break;
+        case 'withdraw':
+            actions.push({ type, actor: randomItem(['trader1', 'trader2']), fraction: randomInt(1000) + 1 });
+            break;
+        case 'wait':
+            actions.push({ type, seconds: randomInt(2 * 5 * 60) });
+            break;
+        case 'setFee':
+            actions.push({ type, fee: randomFee(random) });
+            break;
+        }
+    }
+    return actions;
+}
+
+function describeAction (config, action) {
+    const symbol = (index) => config.tokens[index][0];
+    const percent = (fraction) => `${fraction / 10}%`;
+    switch (action.type) {
+    case 'swap':
+        return `${action.actor} swaps ${percent(action.fraction)} of ${symbol(action.src)} reserve to ${symbol(action.dst)}` +
+            (action.referral ? ' with referral' : '');
+    case 'swapForExact':
+        return `${action.actor} swaps ${symbol(action.src)} for ${percent(action.fraction)} of ${symbol(action.dst)} reserve`;
+    case 'swapRoundTrip':
+        return `attacker swaps ${percent(action.fraction)} of ${symbol(action.src)} reserve to ${symbol(action.dst)} and back`;
+    case 'deposit':
+        return `${action.actor} deposits ${action.fractions.map((f, i) => `${percent(f)} of ${symbol(i)}`).join(', ')} reserves`;
+    case 'depositRoundTrip':
+        return `attacker deposits ${action.fractions.map((f, i) => `${percent(f)} of ${symbol(i)}`).join(', ')} reserves and withdraws`;
+    case 'withdraw':
+        return `${action.actor} withdraws ${percent(action.fraction)} of shares`;
+    case 'wait':
+        return `wait ${action.seconds} seconds`;
+    case 'setFee':
+        return `set fee to ${web3.utils.fromWei(action.fee)}`;
+    }
+}
+
+useFixedGas(Mooniswap);
+
+contract(`Mooniswap fuzz (seed ${SEED})`, function ([_, provider, trader1, trader2, attacker, referral, feeReceiver]) {
+    const wallets = { provider, trader1, trader2, attacker, referral, feeReceiver };
+
+    // Fresh pool with permanent liquidity of provider, which never withdraws
+    async function setup (config, params) {
+        const tokens = [];
+        for (const [symbol, decimals] of config.tokens) {
+            tokens.push(await Token.new(symbol, symbol, decimals));
+        }
+        const pool = await Mooniswap.new(tokens.map(token => token.address), 'Mooniswap', 'MOON');
+        const factory = await Factory.at(await pool.factory());
+        await factory.setFee(params.fee);
+        await factory.setProtocolFee(params.protocolFee);
+        await factory.setFeeReceiver(feeReceiver);
+
+        for (let i = 0; i < tokens.length; i++) {
+            for (const wallet of [provider, trader1, trader2, attacker]) {
+                await tokens[i].mint(wallet, config.tokens[i][2].muln(1000000));
+                await tokens[i].approve(pool.address, constants.MAX_UINT256, { from: wallet });
+            }
+        }
+        await pool.deposit(config.tokens.map(([, , amount]) => amount), tokens.map(() => money.zero), { from: provider });
+        return { pool, factory, tokens };
+    }
+
+    async function getBalances (tokens, wallet) {
+        return Promise.all(tokens.map(token => token.balanceOf(wallet)));
+    }
+
+    async function swap (context, src, dst, amount, wallet, referralWallet) {
+        const { pool, tokens } = context;
+        const state = await sdk.fetchPoolState(web3, pool.address);
+        const receipt = await pool.swap(tokens[src].address, tokens[dst].address, amount, money.zero, referralWallet, { from: wallet });
+        const { timestamp } = await web3.eth.getBlock(receipt.receipt.blockNumber);
+        const { result } = receipt.logs.find(log => log.event === 'Swapped').args;
+
+        // Differential check against off-chain SDK
+        const expected = sdk.getSwapResult(state, tokens[src].address, tokens[dst].address, amount, referralWallet, timestamp);
+        expect(result, 'swap result differs from SDK').to.be.bignumber.equal(expected.result);
+        return result;
+    }
+
+    async function swapForExact (context, src, dst, result, wallet) {
+        const { pool, tokens } = context;
+        const state = await sdk.fetchPoolState(web3, pool.address);
+        const maxInput = await tokens[src].balanceOf(wallet);
+        const receipt = await pool.swapForExact(tokens[src].address, tokens[dst].address, result, maxInput, constants.ZERO_ADDRESS, { from: wallet });
+        const { timestamp } = await web3.eth.getBlock(receipt.receipt.blockNumber);
+        const swapped = receipt.logs.find(log => log.event === 'Swapped').args;
+
+        expect(swapped.result, 'exact swap result differs').to.be.bignumber.equal(result);
+        const expected = sdk.getExpectedInput(state, tokens[src].address, tokens[dst].address, result, timestamp);
+        expect(swapped.amount, 'exact swap input differs from SDK').to.be.bignumber.equal(expected);
+    }
+
+    async function perform (context, action) {
+        const { pool, factory, tokens } = context;
+        const reserves = await Promise.all(tokens.map(token => pool.reserves(token.address)));
+        switch (action.type) {
+        case 'swap':
+            await swap(context, action.src, action.dst, reserves[action.src].muln(action.fraction).divn(1000),
+                wallets[action.actor], action.referral ? referral : constants.ZERO_ADDRESS);
+            break;
+        case 'swapForExact': {
+            const result = reserves[action.dst].muln(action.fraction).divn(1000);
+            if (!result.isZero()) {
+                await swapForExact(context, action.src, action.dst, result, wallets[action.actor]);
+            }
+            break;
+        }
+        case 'swapRoundTrip': {
+            const amount = reserves[action.src].muln(action.fraction).divn(1000);
+            const before = await getBalances(tokens, attacker);
+            const result = await swap(context, action.src, action.dst, amount, attacker, constants.ZERO_ADDRESS);
+            await swap(context, action.dst, action.src, result, attacker, constants.ZERO_ADDRESS);
+            const after = await getBalances(tokens, attacker);
+            expect(after[action.src], 'swap round trip is profitable').to.be.bignumber.lte(before[action.src]);
+            expect(after[action.dst], 'swap round trip is profitable').to.be.bignumber.equal(before[action.dst]);
+            break;
+        }
+        case 'deposit':
+            await pool.deposit(reserves.map((reserve, i) => reserve.muln(action.fractions[i]).divn(1000)), tokens.map(() => money.zero), { from: wallets[action.actor] });
+            break;
+        case 'depositRoundTrip': {
+            const before = await getBalances(tokens, attacker);
+            const shares = await pool.balanceOf(attacker);
+            await pool.deposit(reserves.map((reserve, i) => reserve.muln(action.fractions[i]).divn(1000)), tokens.map(() => money.zero), { from: attacker });
+            await pool.withdraw((await pool.balanceOf(attacker)).sub(shares), [], { from: attacker });
+            const after = await getBalances(tokens, attacker);
+            for (let i = 0; i < tokens.length; i++) {
+                expect(after[i], 'deposit round trip is profitable').to.be.bignumber.lte(before[i]);
+            }
+            break;
+        }
+        case 'withdraw': {
+            const shares = (await pool.balanceOf(wallets[action.actor])).muln(action.fraction).divn(1000);
+            if (!shares.isZero()) {
+                await pool.withdraw(shares, [], { from: wallets[action.actor] });
+            }
+            break;
+        }
+        case 'wait':
+            await time.increase(action.seconds);
+            break;
+        case 'setFee':
+            await factory.setFee(action.fee);
+            break;
+        }
+    }
+
+    function product (values) {
+        return values.reduce((result, value) => result.mul(value), new web3.utils.BN(1));
+    }
+
+    async function checkInvariants (context, prev, next) {
+        const { pool, tokens } = context;
+        const reserves = tokens.map(token => next.reserves[token.address.toLowerCase()]);
+
+        // Reserves are backed by real balances
+        for (let i = 0; i < tokens.length; i++) {
+            expect(await tokens[i].balanceOf(pool.address), 'reserve is not backed').to.be.bignumber.gte(reserves[i]);
+        }
+
+        // Product of reserves per share (in N-th power) never decreases beyond rounding
+        const n = tokens.length;
+        const prevProduct = product(tokens.map(token => prev.reserves[token.address.toLowerCase()]));
+        expect(
+            product(reserves).mul(product(Array(n).fill(prev.totalSupply))).mul(INVARIANT_PRECISION),
+            'invariant per share decreased',
+        ).to.be.bignumber.gte(prevProduct.mul(product(Array(n).fill(next.totalSupply))).mul(INVARIANT_PRECISION.subn(1)));
+
+        // All shares are held by known wallets and are redeemable
+        let supply = await pool.balanceOf(pool.address);
+        for (const name of Object.keys(wallets)) {
+            const shares = await pool.balanceOf(wallets[name]);
+            supply = supply.add(shares);
+            if (!shares.isZero()) {
+                await pool.withdraw.call(shares, [], { from: wallets[name] });
+            }
+        }
+        expect(supply, 'shares are minted to unknown wallet').to.be.bignumber.equal(next.totalSupply);
+
+        // Virtual balances make price only worse for the trader, and decay to real ones in decay period
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if (i === j) {
+                    continue;
+                }
+                const [src, dst] = [tokens[i].address, tokens[j].address];
+                const addition = await pool.getBalanceForAddition(src, dst);
+                const removal = await pool.getBalanceForRemoval(src, dst);
+                expect(addition, 'addition balance is below real').to.be.bignumber.gte(reserves[i]);
+                expect(removal, 'removal balance is above real').to.be.bignumber.lte(reserves[j]);
+                expect(removal, 'removal balance is zero').to.be.bignumber.gt(money.zero);
+                expect(addition, 'addition balance differs from SDK').to.be.bignumber.equal(sdk.getBalanceForAddition(next, src, dst, next.timestamp));
+                expect(removal, 'removal balance differs from SDK').to.be.bignumber.equal(sdk.getBalanceForRemoval(next, src, dst, next.timestamp));
+
+                const decayPeriod = next.decayPeriod.toNumber();
+                const key = [src.toLowerCase(), dst.toLowerCase()];
+                if (next.timestamp - next.virtualBalancesForAddition[key[0]][key[1]].time.toNumber() >= decayPeriod) {
+                    expect(addition, 'addition balance is not decayed').to.be.bignumber.equal(reserves[i]);
+                }
+                if (next.timestamp - next.virtualBalancesForRemoval[key[0]][key[1]].time.toNumber() >= decayPeriod) {
+                    expect(removal, 'removal balance is not decayed').to.be.bignumber.equal(reserves[j]);
+                }
+            }
+        }
+    }
+
+    // Returns undefined when all actions pass or failed step with error
+    async function execute (config, params, actions) {
+        const context = await setup(config, params);
+        let state = await sdk.fetchPoolState(web3, context.pool.address);
+        for (let step = 0; step < actions.length; step++) {
+            try {
+                await perform(context, actions[step]);
+                const next = await sdk.fetchPoolState(web3, context.pool.address);
+                await checkInvariants(context, state, next);
+                state = next;
+            } catch (error) {
+                return { step, error };
+            }
+        }
+    }
+
+    // Drops actions one by one while the run still fails
+    async function shrink (config, params, actions, failure) {
+        let trace = actions.slice(0, failure.step + 1);
+        for (let i = trace.length - 2; i >= 0; i--) {
+            const candidate = trace.slice(0, i).concat(trace.slice(i + 1));
+            const result = await execute(config, params, candidate);
+            if (result) {
+                trace = candidate.slice(0, result.step + 1);
+                failure = result;
+                i = Math.min(i, trace.length - 1);
+            }
+        }
+        return { trace, failure };
+    }
+
+    for (const config of configs) {
+        describe(config.name, async function () {
+            for (let run = 0; run < RUNS; run++) {
+                const seed = SEED + run;
+
+                it(`should keep invariants, seed ${seed}`, async function () {
+                    const random = createRandom(seed);
+                    const params = { fee: randomFee(random), protocolFee: money.ether('0.5').muln(Math.floor(random() * 101)).divn(100) };
+                    const actions = generateActions(random, config, STEPS);
+
+                    const failure = await execute(config, params, actions);
+                    if (failure) {
+                        const { trace, failure: minimal } = await shrink(config, params, actions, failure);
+                        throw new Error([
+                            `Invariant broken in ${config.name} pool, reproduce with FUZZ_SEED=${seed} FUZZ_RUNS=1 FUZZ_STEPS=${STEPS}`,
+                            `Fee ${web3.utils.fromWei(params.fee)}, protocol fee ${web3.utils.fromWei(params.protocolFee)}, minimal trace:`,
+                            ...trace.map((action, i) => `  ${i + 1}. ${describeAction(config, action)}`),
+                            minimal.error.message,
+                        ].join('\n'));
+                    }
+                });
+            }
+        });
+    }
+});
@@ -0,0 +1,110 @@
+const { constants, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, deployFactory, useFixedGas } = require('./helpers/utils');
+const sdk = require('../sdk');
+
+const Mooniswap = artifacts.require('Mooniswap');
+const Token = artifacts.require('TokenMock');
+
+useFixedGas(Mooniswap);
+
+contract('Mooniswap indexer', function ([_, wallet1, wallet2, referral, feeReceiver]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.WETH = await Token.new('WETH', 'WETH', 18);
+
+        this.factory = await deployFactory();
+        await this.factory.setFee(money.weth('0.003'));
+        await this.factory.setProtocolFee(money.weth('0.2'));
+        await this.factory.setFeeReceiver(feeReceiver);
+        await this.factory.deploy(this.DAI.address, this.WETH.address);
+        this.pool = await Mooniswap.at(await this.factory.pools(this.DAI.address, this.WETH.address));
+
+        for (const wallet of [wallet1, wallet2]) {
+            await this.DAI.mint(wallet, money.dai('1000'));
+            await this.WETH.mint(wallet, money.weth('10'));
+            await this.DAI.approve(this.pool.address, money.dai('1000'), { from: wallet });
+            await this.WETH.approve(this.pool.address, money.weth('10'), { from: wallet });
+        }
+
+        const amounts = (await this.pool.getTokens())[0] === this.DAI.address
+            ? [money.dai('270'), money.weth('1')]
+            : [money.weth('1'), money.dai('270')];
+        await this.pool.deposit(amounts, [money.zero, money.zero], { from: wallet1 });
+        await this.pool.swap(this.WETH.address, this.DAI.address, money.weth('0.1'), money.zero, referral, { from: wallet2 });
+        await this.pool.swap(this.DAI.address, this.WETH.address, money.dai('10'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+        await this.pool.withdraw(money.dai('10'), [], { from: wallet1 });
+        await time.increase(time.duration.days(365));
+
+        this.store = await sdk.indexFactory(web3, sdk.createStore(this.factory.address));
+    });
+
+    function countEvents (store, pool, name) {
+        return store.pools[pool.address].events.filter(event => event.event === name).length;
+    }
+
+    it('should index factory pools and events', async function () {
+        expect(Object.keys(this.store.pools)).to.be.deep.equal([this.pool.address]);
+        expect(this.store.pools[this.pool.address].type).to.be.equal('Deployed');
+        expect(countEvents(this.store, this.pool, 'Deposited')).to.be.equal(1);
+        expect(countEvents(this.store, this.pool, 'Swapped')).to.be.equal(2);
+        expect(countEvents(this.store, this.pool, 'Withdrawn')).to.be.equal(1);
+    });
+
+    it('should report volumes, fees and fee shares', async function () {
+        const [report] = await sdk.getReport(web3, this.store);
+        expect(report.swaps).to.be.equal(2);
+        expect(report.deposits).to.be.equal(1);
+        expect(report.withdrawals).to.be.equal(1);
+        expect(report.referralShares).to.be.deep.equal({ [referral]: (await this.pool.balanceOf(referral)).toString() });
+        expect(report.protocolShares).to.be.equal((await this.pool.balanceOf(feeReceiver)).toString());
+        expect(report.apy).to.be.gt(0);
+
+        const tokens = {};
+        for (const token of report.tokens) {
+            tokens[token.token] = token;
+            expect(token.volumeCheck).to.be.equal(true);
+            expect(token.reserveEnd).to.be.equal((await this.pool.reserves(token.token)).toString());
+        }
+        expect(tokens[this.WETH.address].volumeIn).to.be.equal(money.weth('0.1').toString());
+        expect(tokens[this.DAI.address].volumeIn).to.be.equal(money.dai('10').toString());
+        expect(tokens[this.WETH.address].fees).to.be.equal(money.weth('0.0003').toString());
+        expect(tokens[this.DAI.address].fees).to.be.equal(money.dai('0.03').toString());
+        expect(tokens[this.DAI.address].deposited).to.be.equal(money.dai('270').toString());
+        expect(tokens[this.WETH.address].deposited).to.be.equal(money.weth('1').toString());
+        expect(tokens[this.WETH.address].withdrawn).to.be.bignumber.gt(money.zero);
+    });
+
+    it('should index only new blocks', async function () {
+        await this.pool.swap(this.WETH.address, this.DAI.address, money.weth('0.1'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+        const store = await sdk.indexFactory(web3, this.store);
+        expect(countEvents(store, this.pool, 'Swapped')).to.be.equal(3);
+        expect(countEvents(store, this.pool, 'Deposited')).to.be.equal(1);
+
+        const [report] = await sdk.getReport(web3, store);
+        expect(report.tokens.every(token => token.volumeCheck)).to.be.equal(true);
+    });
+
+    it('should limit report to time range', async function () {
+        const from = (await time.latest()).toNumber();
+        await time.increase(time.duration.days(1));
+        await this.pool.swap(this.WETH.address, this.DAI.address, money.weth('0.2'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+        const store = await sdk.indexFactory(web3, this.store);
+
+        const [report] = await sdk.getReport(web3, store, { from });
+        expect(report.swaps).to.be.equal(1);
+        expect(report.deposits).to.be.equal(0);
+        const weth = report.tokens.find(token => token.token === this.WETH.address);
+        expect(weth.volumeIn).to.be.equal(money.weth('0.2').toString());
+
+        const [before] = await sdk.getReport(web3, store, { to: from });
+        expect(before.swaps).to.be.equal(2);
+    });
+
+    it('should output csv row per pool token', async function () {
+        const csv = sdk.toCsv(await sdk.getReport(web3, this.store)).trim().split('\n');
+        expect(csv.length).to.be.equal(3);
+        expect(csv[0].split(',')).to.include.members(['pool', 'token', 'volumeIn', 'fees', 'apy']);
+        expect(csv[1].split(',')[0]).to.be.equal(this.pool.address);
+    });
+});
@@ -0,0 +1,159 @@
+const { constants, time, expectEvent } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, useFixedGas, createRandom } = require('./helpers/utils');
+const sdk = require('../sdk');
+
+const Mooniswap = artifacts.require('MooniswapMock');
+const Factory = artifacts.require('FactoryMock');
+const Token = artifacts.require('TokenMock');
+
+// Set SDK_TEST_SEED to reproduce failed run, seed is printed in the suite name
+const SEED = Number(process.env.SDK_TEST_SEED || Date.now() % 1e9);
+
+const random = createRandom(SEED);
+
+function randomInt (max) {
+    return Math.floor(random() * max);
+}
+
+// Random amount from 0.1% to 100% of max
+function randomAmount (max) {
+    return max.muln(randomInt(1000) + 1).divn(1000);
+}
+
+function randomPair (tokens) {
+    const src = randomInt(tokens.length);
+    const dst = (src + 1 + randomInt(tokens.length - 1)) % tokens.length;
+    return [tokens[src], tokens[dst]];
+}
+
+useFixedGas(Mooniswap);
+
+contract(`Mooniswap SDK (seed ${SEED})`, function ([_, wallet1, wallet2, referral, feeReceiver]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.WETH = await Token.new('WETH', 'WETH', 18);
+        this.USDC = await Token.new('USDC', 'USDC', 6);
+    });
+
+    const pools = {
+        pair: (test) => [[test.WETH, money.weth('10')], [test.DAI, money.dai('2700')]],
+        basket: (test) => [[test.WETH, money.weth('10')], [test.DAI, money.dai('2700')], [test.USDC, money.usdc('2700')]],
+    };
+
+    for (const name of Object.keys(pools)) {
+        describe(name, async function () {
+            beforeEach(async function () {
+                const deposits = pools[name](this);
+                this.tokens = deposits.map(([token]) => token);
+                this.mooniswap = await Mooniswap.new(this.tokens.map(token => token.address), 'Mooniswap', 'MOON');
+                this.factory = await Factory.at(await this.mooniswap.factory());
+
+                for (const [token, amount] of deposits) {
+                    for (const wallet of [wallet1, wallet2]) {
+                        await token.mint(wallet, amount.muln(100));
+                        await token.approve(this.mooniswap.address, amount.muln(100), { from: wallet });
+                    }
+                }
+                await this.mooniswap.deposit(deposits.map(([, amount]) => amount), deposits.map(() => money.zero), { from: wallet1 });
+                await time.increase(await this.mooniswap.decayPeriod());
+            });
+
+            // Random swap of up to 10% of src reserve
+            async function swap (test, src, dst, referral) {
+                const amount = randomAmount((await test.mooniswap.reserves(src.address)).divn(10));
+                return test.mooniswap.swap(src.address, dst.address, amount, money.zero, referral || constants.ZERO_ADDRESS, { from: wallet2 });
+            }
+
+            it('should quote swaps at future timestamps', async function () {
+                await this.factory.setFee(money.weth('0.003').muln(randomInt(101)).divn(100));
+                for (let i = 0; i < 3; i++) {
+                    await swap(this, ...randomPair(this.tokens));
+                }
+
+                const state = await sdk.fetchPoolState(web3, this.mooniswap.address);
+                const decayPeriod = (await this.mooniswap.decayPeriod()).toNumber();
+                const delays = [0, 1, 2, 3].map(() => randomInt(decayPeriod * 1.2)).sort((a, b) => a - b);
+                for (const delay of delays) {
+                    if (state.timestamp + delay > (await time.latest()).toNumber()) {
+                        await time.increaseTo(state.timestamp + delay);
+                    }
+                    const timestamp = (await time.latest()).toNumber();
+                    const [src, dst] = randomPair(this.tokens);
+                    const amount = randomAmount((await this.mooniswap.reserves(src.address)).divn(10));
+
+                    expect(sdk.getBalanceForAddition(state, src.address, dst.address, timestamp))
+                        .to.be.bignumber.equal(await this.mooniswap.getBalanceForAddition(src.address, dst.address));
+                    expect(sdk.getBalanceForRemoval(state, src.address, dst.address, timestamp))
+                        .to.be.bignumber.equal(await this.mooniswap.getBalanceForRemoval(src.address, dst.address));
+                    expect(sdk.getReturn(state, src.address, dst.address, amount, timestamp))
+                        .to.be.bignumber.equal(await this.mooniswap.getReturn(src.address, dst.address, amount));
+                    const result = randomAmount((await this.mooniswap.reserves(dst.address)).divn(10));
+                    expect(sdk.getExpectedInput(state, src.address, dst.address, result, timestamp))
+                        .to.be.bignumber.equal(await this.mooniswap.getExpectedInput(src.address, dst.address, result));
+                }
+            });
+
+            it('should predict swap results and fee shares', async function () {
+                await this.factory.setFee(money.weth('0.003').muln(randomInt(101)).divn(100));
+                await this.factory.setProtocolFee(money.weth('0.5').muln(randomInt(101)).divn(100));
+                await this.factory.setFeeReceiver(feeReceiver);
+
+                for (let i = 0; i < 6; i++) {
+                    const [src, dst] = randomPair(this.tokens);
+                    const swapReferral = randomInt(2) ? referral : constants.ZERO_ADDRESS;
+                    const state = await sdk.fetchPoolState(web3, this.mooniswap.address);
+                    const referralBalance = await this.mooniswap.balanceOf(referral);
+                    const feeReceiverBalance = await this.mooniswap.balanceOf(feeReceiver);
+
+                    const receipt = await swap(this, src, dst, swapReferral);
+                    const amount = receipt.logs.find(log => log.event === 'Swapped').args.amount;
+                    const timestamp = (await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp;
+                    const expected = sdk.getSwapResult(state, src.address, dst.address, amount, swapReferral, timestamp);
+
+                    expectEvent(receipt, 'Swapped', { result: expected.result });
+                    expect((await this.mooniswap.balanceOf(referral)).sub(referralBalance)).to.be.bignumber.equal(expected.referralShare);
+                    expect((await this.mooniswap.balanceOf(feeReceiver)).sub(feeReceiverBalance)).to.be.bignumber.equal(expected.protocolShare);
+                }
+            });
+
+            it('should predict deposits and withdrawals', async function () {
+                for (let i = 0; i < 4; i++) {
+                    await swap(this, ...randomPair(this.tokens));
+
+                    const state = await sdk.fetchPoolState(web3, this.mooniswap.address);
+                    const amounts = this.tokens.map(token => randomAmount(state.reserves[token.address.toLowerCase()]));
+                    const expected = sdk.getDepositResult(state, amounts);
+                    const balances = await Promise.all(this.tokens.map(token => token.balanceOf(wallet2)));
+                    const shares = await this.mooniswap.balanceOf(wallet2);
+
+                    await this.mooniswap.deposit(amounts, amounts.map(() => money.zero), { from: wallet2 });
+                    expect((await this.mooniswap.balanceOf(wallet2)).sub(shares)).to.be.bignumber.equal(expected.shares);
+                    for (let j = 0; j < this.tokens.length; j++) {
+                        expect(balances[j].sub(await this.tokens[j].balanceOf(wallet2))).to.be.bignumber.equal(expected.amounts[j]);
+                    }
+
+                    const withdrawState = await sdk.fetchPoolState(web3, this.mooniswap.address);
+                    const amount = randomAmount(await this.mooniswap.balanceOf(wallet2));
+                    const returns = sdk.getWithdrawResult(withdrawState, amount);
+                    const withdrawBalances = await Promise.all(this.tokens.map(token => token.balanceOf(wallet2)));
+
+                    await this.mooniswap.withdraw(amount, [], { from: wallet2 });
+                    for (let j = 0; j < this.tokens.length; j++) {
+                        expect((await this.tokens[j].balanceOf(wallet2)).sub(withdrawBalances[j])).to.be.bignumber.equal(returns[j]);
+                    }
+                }
+            });
+        });
+    }
+
+    describe('Math', async function () {
+        it('should compute integer square root like Sqrt library', async function () {
+            for (const value of ['0', '1', '3', '4', '15', '16', '17', '1000000000000000000000000000000000000']) {
+                const root = sdk.sqrt(new web3.utils.BN(value));
+                expect(root.mul(root)).to.be.bignumber.lte(value);
+                expect(root.addn(1).mul(root.addn(1))).to.be.bignumber.gt(value);
+            }
+        });
+    });
+});
@@ -0,0 +1,262 @@
+const { constants, time, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { money, deployFactory, useFixedGas, trackReceivedToken } = require('./helpers/utils');
+
+const Mooniswap = artifacts.require('Mooniswap');
+const MooniswapStable = artifacts.require('MooniswapStable');
+const Token = artifacts.require('TokenMock');
+
+async function deposit (pool, tokenA, amountA, tokenB, amountB, from) {
+    for (const [token, amount] of [[tokenA, amountA], [tokenB, amountB]]) {
+        await token.mint(from, amount);
+        await token.approve(pool.address, amount, { from });
+    }
+
+    const amounts = (await pool.getTokens())[0] === tokenA.address ? [amountA, amountB] : [amountB, amountA];
+    await pool.deposit(amounts, [money.zero, money.zero], { from });
+}
+
+useFixedGas(Mooniswap, MooniswapStable);
+
+contract('MooniswapStable', function ([_, wallet1, wallet2, wallet3]) {
+    beforeEach(async function () {
+        this.DAI = await Token.new('DAI', 'DAI', 18);
+        this.USDC = await Token.new('USDC', 'USDC', 6);
+
+        this.factory = await deployFactory();
+        await this.factory.deployStable(this.DAI.address, this.USDC.address, 100);
+        this.stable = await MooniswapStable.at(await this.factory.stablePools(this.DAI.address, this.USDC.address));
+        await deposit(this.stable, this.DAI, money.dai('1000000'), this.USDC, money.usdc('1000000'), wallet1);
+
+        await this.DAI.mint(wallet2, money.dai('900000'));
+        await this.DAI.approve(this.stable.address, money.dai('900000'), { from: wallet2 });
+    });
+
+    describe('Creation', async function () {
+        it('should be registered in factory', async function () {
+            expect(await this.factory.stablePools(this.USDC.address, this.DAI.address)).to.be.equal(this.stable.address);
+            expect(await this.factory.isPool(this.stable.address)).to.be.true;
+            expect(await this.factory.pools(this.DAI.address, this.USDC.address)).to.be.equal(constants.ZERO_ADDRESS);
+        });
+
+        it('should have stable name and symbol', async function () {
+            expect(await this.stable.name()).to.be.oneOf(['Mooniswap V1 Stable (DAI-USDC)', 'Mooniswap V1 Stable (USDC-DAI)']);
+            expect(await this.stable.symbol()).to.be.oneOf(['MOON-V1-S-DAI-USDC', 'MOON-V1-S-USDC-DAI']);
+        });
+
+        it('should be owned by factory owner', async function () {
+            expect(await this.stable.owner()).to.be.equal(_);
+        });
+
+        it('should normalize token decimals', async function () {
+            expect(await this.stable.precisionMultipliers(this.DAI.address)).to.be.bignumber.equal('1');
+            expect(await this.stable.precisionMultipliers(this.USDC.address)).to.be.bignumber.equal('1000000000000');
+        });
+
+        it('should use initial amplification', async function () {
+            expect(await this.stable.getA()).to.be.bignumber.equal('100');
+            expect(await this.stable.getAPrecise()).to.be.bignumber.equal('10000');
+        });
+
+        it('should be denied for existing pool', async function () {
+            await expectRevert(
+                this.factory.deployStable(this.USDC.address, this.DAI.address, 100),
+                'Factory: pool already exists',
+            );
+        });
+
+        it('should be denied for zero amplification', async function () {
+            const USDT = await Token.new('USDT', 'USDT', 6);
+            await expectRevert(
+                this.factory.deployStable(this.DAI.address, USDT.address, 0),
+                'StableSwap: A is out of range',
+            );
+        });
+
+        it('should be denied for more than 2 tokens', async function () {
+            const USDT = await Token.new('USDT', 'USDT', 6);
+            await expectRevert(
+                MooniswapStable.new([this.DAI.address, this.USDC.address, USDT.address], 'Mooniswap', 'MOON', 100),
+                'Mooniswap: only 2 tokens allowed',
+            );
+        });
+    });
+
+    describe('Swaps', async function () {
+        it('should have lower slippage than constant product pool', async function () {
+            await this.factory.deploy(this.DAI.address, this.USDC.address);
+            const pool = await Mooniswap.at(await this.factory.pools(this.DAI.address, this.USDC.address));
+            await deposit(pool, this.DAI, money.dai('1000000'), this.USDC, money.usdc('1000000'), wallet1);
+
+            const stableReturn = await this.stable.getReturn(this.DAI.address, this.USDC.address, money.dai('10000'));
+            const productReturn = await pool.getReturn(this.DAI.address, this.USDC.address, money.dai('10000'));
+            expect(stableReturn).to.be.bignumber.gt(money.usdc('9999'));
+            expect(stableReturn).to.be.bignumber.lt(money.usdc('10000'));
+            expect(productReturn).to.be.bignumber.lt(money.usdc('9910'));
+        });
+
+        it('should swap as quoted', async function () {
+            const quote = await this.stable.getReturn(this.DAI.address, this.USDC.address, money.dai('10000'));
+            const received = await trackReceivedToken(
+                this.USDC,
+                wallet2,
+                () => this.stable.swap(this.DAI.address, this.USDC.address, money.dai('10000'), quote, constants.ZERO_ADDRESS, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(quote);
+        });
+
+        it('should charge fee', async function () {
+            const quote = await this.stable.getReturn(this.DAI.address, this.USDC.address, money.dai('10000'));
+            await this.factory.setFee(money.weth('0.003'));
+            const taxedQuote = await this.stable.getReturn(this.DAI.address, this.USDC.address, money.dai('10000'));
+            expect(taxedQuote).to.be.bignumber.lt(quote.muln(998).divn(1000));
+            expect(taxedQuote).to.be.bignumber.gt(quote.muln(996).divn(1000));
+        });
+
+        it('should keep opposite direction price after imbalancing swap', async function () {
+            await this.USDC.mint(wallet3, money.usdc('1000'));
+            await this.USDC.approve(this.stable.address, money.usdc('1000'), { from: wallet3 });
+            const quote = await this.stable.getReturn(this.USDC.address, this.DAI.address, money.usdc('1000'));
+
+            await this.stable.swap(this.DAI.address, this.USDC.address, money.dai('900000'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+
+            // Without virtual balances USDC would be much more expensive after the swap
+            const received = await trackReceivedToken(
+                this.DAI,
+                wallet3,
+                () => this.stable.swap(this.USDC.address, this.DAI.address, money.usdc('1000'), money.zero, constants.ZERO_ADDRESS, { from: wallet3 }),
+            );
+            expect(received).to.be.bignumber.lt(quote.muln(1001).divn(1000));
+            expect(received).to.be.bignumber.lt(money.dai('1001'));
+        });
+
+        it('should mint referral shares only for fee', async function () {
+            await this.stable.swap(this.DAI.address, this.USDC.address, money.dai('10000'), money.zero, wallet3, { from: wallet2 });
+            // Only dust from rounding of USDC result
+            expect(await this.stable.balanceOf(wallet3)).to.be.bignumber.lt(money.dai('0.000001'));
+
+            await this.factory.setFee(money.weth('0.003'));
+            await this.stable.swap(this.DAI.address, this.USDC.address, money.dai('10000'), money.zero, wallet3, { from: wallet2 });
+            // 5% of 30 DAI fee, each share is worth about 2 DAI
+            const referralShare = await this.stable.balanceOf(wallet3);
+            expect(referralShare).to.be.bignumber.gt(money.dai('0.74'));
+            expect(referralShare).to.be.bignumber.lt(money.dai('0.76'));
+        });
+
+        it('should invert getReturn for any fee', async function () {
+            await this.stable.swap(this.DAI.address, this.USDC.address, money.dai('300000'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+            for (const fee of ['0', '0.001', '0.003']) {
+                await this.factory.setFee(money.weth(fee));
+                for (const [src, dst, result] of [
+                    [this.DAI, this.USDC, money.usdc('0.000001')],
+                    [this.DAI, this.USDC, money.usdc('12345.678901')],
+                    [this.USDC, this.DAI, money.dai('1')],
+                    [this.USDC, this.DAI, money.dai('250000')],
+                ]) {
+                    const input = await this.stable.getExpectedInput(src.address, dst.address, result);
+                    expect(await this.stable.getReturn(src.address, dst.address, input)).to.be.bignumber.gte(result);
+                    expect(await this.stable.getReturn(src.address, dst.address, input.subn(1))).to.be.bignumber.lt(result);
+                }
+            }
+        });
+
+        it('should swap for exact result', async function () {
+            await this.factory.setFee(money.weth('0.003'));
+            const input = await this.stable.getExpectedInput(this.DAI.address, this.USDC.address, money.usdc('10000'));
+            const daiBalance = await this.DAI.balanceOf(wallet2);
+            const received = await trackReceivedToken(
+                this.USDC,
+                wallet2,
+                () => this.stable.swapForExact(this.DAI.address, this.USDC.address, money.usdc('10000'), input, constants.ZERO_ADDRESS, { from: wallet2 }),
+            );
+            expect(received).to.be.bignumber.equal(money.usdc('10000'));
+            expect(await this.DAI.balanceOf(wallet2)).to.be.bignumber.equal(daiBalance.sub(input));
+        });
+
+        it('should not quote unreachable result', async function () {
+            expect(await this.stable.getExpectedInput(this.DAI.address, this.USDC.address, money.usdc('1000000'))).to.be.bignumber.equal(money.zero);
+        });
+
+        it('should withdraw both tokens', async function () {
+            await this.stable.swap(this.DAI.address, this.USDC.address, money.dai('10000'), money.zero, constants.ZERO_ADDRESS, { from: wallet2 });
+            await this.stable.withdraw(await this.stable.balanceOf(wallet1), [], { from: wallet1 });
+            expect(await this.DAI.balanceOf(wallet1)).to.be.bignumber.gt(money.dai('1009999'));
+            expect(await this.USDC.balanceOf(wallet1)).to.be.bignumber.gt(money.usdc('990000'));
+        });
+    });
+
+    describe('Price accumulators', async function () {
+        it('should accumulate price close to 1:1 in token decimals', async function () {
+            const start = await this.stable.getPriceCumulative(this.DAI.address, this.USDC.address);
+            const startTime = await time.latest();
+            await time.increase(time.duration.minutes(10));
+            const end = await this.stable.getPriceCumulative(this.DAI.address, this.USDC.address);
+            const price = end.sub(start).div((await time.latest()).sub(startTime));
+            expect(price).to.be.bignumber.gte(money.usdc('0.999999'));
+            expect(price).to.be.bignumber.lte(money.usdc('1'));
+        });
+    });
+
+    describe('Amplification', async function () {
+        it('should ramp linearly', async function () {
+            const start = await time.latest();
+            await this.stable.rampA(200, start.add(time.duration.days(2)));
+            await time.increaseTo(start.add(time.duration.days(1)));
+            expect(await this.stable.getA()).to.be.bignumber.gte('149');
+            expect(await this.stable.getA()).to.be.bignumber.lte('151');
+
+            await time.increaseTo(start.add(time.duration.days(2)));
+            expect(await this.stable.getA()).to.be.bignumber.equal('200');
+        });
+
+        it('should stop ramp', async function () {
+            const start = await time.latest();
+            await this.stable.rampA(10, start.add(time.duration.days(2)));
+            await time.increaseTo(start.add(time.duration.days(1)));
+            await this.stable.stopRampA();
+            const stopped = await this.stable.getAPrecise();
+
+            await time.increase(time.duration.days(1));
+            expect(await this.stable.getAPrecise()).to.be.bignumber.equal(stopped);
+        });
+
+        it('should be denied for non owner', async function () {
+            const start = await time.latest();
+            await expectRevert(
+                this.stable.rampA(200, start.add(time.duration.days(2)), { from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+            await expectRevert(
+                this.stable.stopRampA({ from: wallet1 }),
+                'Ownable: caller is not the owner',
+            );
+        });
+
+        it('should be denied for short ramp', async function () {
+            await expectRevert(
+                this.stable.rampA(200, (await time.latest()).add(time.duration.hours(1))),
+                'StableSwap: ramp is too fast',
+            );
+        });
+
+        it('should be denied for big change', async function () {
+            await expectRevert(
+                this.stable.rampA(1001, (await time.latest()).add(time.duration.days(2))),
+                'StableSwap: A change is too big',
+            );
+            await expectRevert(
+                this.stable.rampA(9, (await time.latest()).add(time.duration.days(2))),
+                'StableSwap: A change is too big',
+            );
+        });
+
+        it('should be denied for frequent ramps', async function () {
+            const start = await time.latest();
+            await this.stable.rampA(200, start.add(time.duration.days(2)));
+            await expectRevert(
+                this.stable.rampA(300, start.add(time.duration.days(3))),
+                'StableSwap: ramp is too frequent',
+            );
+        });
+    });
+});
@@ -0,0 +1,145 @@
+const { constants, time, ether } = require('@openzeppelin/test-helpers');
+
+const money = {
+    ether,
+    eth: ether,
+    zero: ether('0'),
+    oneWei: ether('0').addn(1),
+    weth: ether,
+    dai: ether,
+    usdc: (value) => ether(value).div(ether('0.000001')),
+};
+
+async function trackReceivedToken (token, wallet, txPromise) {
+    const preBalance = web3.utils.toBN(
+        (token === constants.ZERO_ADDRESS)
+            ? await web3.eth.getBalance(wallet)
+            : await token.balanceOf(wallet),
+    );
+
+    let txResult = await txPromise();
+    if (txResult.receipt) {
+        // Fix coverage since testrpc-sc gives: { tx: ..., receipt: ...}
+        txResult = txResult.receipt;
+    }
+    let txFees = web3.utils.toBN('0');
+    if (wallet.toLowerCase() === txResult.from.toLowerCase() && token === constants.ZERO_ADDRESS) {
+        const receipt = await web3.eth.getTransactionReceipt(txResult.transactionHash);
+        const tx = await web3.eth.getTransaction(receipt.transactionHash);
+        txFees = web3.utils.toBN(receipt.gasUsed).mul(web3.utils.toBN(tx.gasPrice));
+    }
+
+    const postBalance = web3.utils.toBN(
+        (token === constants.ZERO_ADDRESS)
+            ? await web3.eth.getBalance(wallet)
+            : await token.balanceOf(wallet),
+    );
+
+    return postBalance.sub(preBalance).add(txFees);
+}
+
+async function timeIncreaseTo (seconds) {
+    const delay = 1000 - new Date().getMilliseconds();
+    await new Promise(resolve => setTimeout(resolve, delay));
+    await time.increaseTo(seconds);
+}
+
+async function domainSeparator (name, version, verifyingContract) {
+    return web3.utils.keccak256(web3.eth.abi.encodeParameters(
+        ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+        [
+            web3.utils.keccak256('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'),
+            web3.utils.keccak256(name),
+            web3.utils.keccak256(version),
+            await web3.eth.getChainId(),
+            verifyingContract,
+        ],
+    ));
+}
+
+// Signs EIP-2612 permit with unlocked ganache account
+async function signPermit (token, owner, spender, value, deadline) {
+    const data = {
+        types: {
+            EIP712Domain: [
+                { name: 'name', type: 'string' },
+                { name: 'version', type: 'string' },
+                { name: 'chainId', type: 'uint256' },
+                { name: 'verifyingContract', type: 'address' },
+            ],
+            Permit: [
+                { name: 'owner', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' },
+            ],
+        },
+        domain: {
+            name: await token.name(),
+            version: '1',
+            chainId: await web3.eth.getChainId(),
+            verifyingContract: token.address,
+        },
+        primaryType: 'Permit',
+        message: {
+            owner,
+            spender,
+            value: value.toString(),
+            nonce: (await token.nonces(owner)).toString(),
+            deadline: deadline.toString(),
+        },
+    };
+
+    const signature = await new Promise((resolve, reject) => {
+        web3.currentProvider.send({
+            jsonrpc: '2.0',
+            id: Date.now(),
+            method: 'eth_signTypedData',
+            params: [owner, data],
+        }, (err, res) => err ? reject(err) : resolve(res.result));
+    });
+
+    return {
+        v: parseInt(signature.slice(130, 132), 16),
+        r: '0x' + signature.slice(2, 66),
+        s: '0x' + signature.slice(66, 130),
+    };
+}
+
+// Pool price accumulators are updated only once per second, so gas estimated at the same second
+// with the previous pool update is not enough for transaction mined at the next second
+function useFixedGas (...contracts) {
+    for (const contract of contracts) {
+        contract.defaults({ gas: 6000000 });
+    }
+}
+
+// Seeded mulberry32 generator of numbers in [0, 1), so randomized tests are reproducible by seed
+function createRandom (seed) {
+    let state = seed;
+    return function () {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Reuses pool deployers of the migrated factory, they keep pool creation code only
+async function deployFactory () {
+    const MooniFactory = artifacts.require('MooniFactory');
+    const migrated = await MooniFactory.deployed();
+    return MooniFactory.new(await migrated.poolDeployer(), await migrated.stablePoolDeployer());
+}
+
+module.exports = {
+    money,
+    deployFactory,
+    useFixedGas,
+    trackReceivedToken,
+    timeIncreaseTo,
+    domainSeparator,
+    signPermit,
+    createRandom,
+};
@@ -5,7 +5,7 @@ module.exports = {
             settings: {
                 optimizer: {
                     enabled: true,
-                    runs: 1000000,
+                    runs: 200,
                 }
             }
         },